@@ -1,13 +1,15 @@
 /**
  * Account Favorites Component
  * Renders favorite products grid on the customer account page.
- * Reuses the Section Rendering API pattern from favorites-page.js.
- * Dependencies: favorites-handler.js (must be loaded first)
+ * Cards come from product-card-loader.js, like favorites-page.js.
+ * Bulk actions (add selected to cart, remove, clear) come from <favorites-bulk-actions>.
+ * Dependencies: favorites-handler.js, theme-store.js, product-card-loader.js (must be loaded first)
  */
 class AccountFavorites extends HTMLElement {
   constructor() {
     super();
     this.initialized = false;
+    this.productVariants = new Map(); // handle -> [{id, price, available}, ...]
   }
 
   connectedCallback() {
@@ -28,7 +30,7 @@ class AccountFavorites extends HTMLElement {
 
     this.loadFavorites();
 
-    window.addEventListener('favorites:changed', () => {
+    window.themeStore.subscribe('favorites', () => {
       this.loadFavorites();
     });
   }
@@ -37,6 +39,12 @@ class AccountFavorites extends HTMLElement {
    * Load favorites and render product cards
    */
   async loadFavorites() {
+    // Keep the loading state until favorites-handler.js has published the favorites
+    if (!window.themeStore.select(ThemeStore.selectors.favoritesReady)) {
+      this.showLoading();
+      return;
+    }
+
     const favorites = this.getFavorites();
 
     if (!favorites || favorites.length === 0) {
@@ -51,38 +59,15 @@ class AccountFavorites extends HTMLElement {
   }
 
   /**
-   * Get favorites from handler, metafield, or localStorage (same fallback chain as favorites-page.js)
+   * Get favorites from the theme store (same source as favorites-page.js)
    */
   getFavorites() {
-    try {
-      if (window.favoritesHandler && window.favoritesHandler.favorites && window.favoritesHandler.favorites.size > 0) {
-        return Array.from(window.favoritesHandler.favorites.values())
-          .filter(fav => fav && fav.handle)
-          .map(fav => ({
-            ...fav,
-            handle: fav.handle.includes('%') ? decodeURIComponent(fav.handle) : fav.handle,
-          }));
-      }
-
-      if (window.Shopify && window.Shopify.favorites) {
-        let data = window.Shopify.favorites;
-        if (typeof data === 'string') {
-          data = JSON.parse(data);
-        }
-        if (data && data.saved && Array.isArray(data.saved)) {
-          return data.saved.filter(fav => fav && fav.handle);
-        }
-      }
-
-      const stored = localStorage.getItem('guestFavorites');
-      if (stored) {
-        const parsed = JSON.parse(stored);
-        if (parsed && parsed.saved) return parsed.saved.filter(fav => fav && fav.handle);
-      }
-    } catch (error) {
-      console.error('AccountFavorites: Error reading favorites:', error);
-    }
-    return [];
+    return window.themeStore.select(ThemeStore.selectors.favorites)
+      .filter(fav => fav && fav.handle)
+      .map(fav => ({
+        ...fav,
+        handle: fav.handle.includes('%') ? decodeURIComponent(fav.handle) : fav.handle,
+      }));
   }
 
   /**
@@ -95,11 +80,16 @@ class AccountFavorites extends HTMLElement {
     this.grid.innerHTML = '';
     let count = 0;
 
-    results.forEach((result) => {
+    results.forEach((result, index) => {
       if (result.status === 'fulfilled' && result.value) {
+        const fav = favorites[index];
         const li = document.createElement('li');
         li.className = 'grid__item account-favorites__item';
         li.innerHTML = result.value;
+        if (fav.id) {
+          li.dataset.favoriteId = fav.id;
+          li.dataset.variantId = this.getCartVariantId(fav) || '';
+        }
         this.grid.appendChild(li);
         count++;
       }
@@ -117,38 +107,58 @@ class AccountFavorites extends HTMLElement {
     if (window.favoritesHandler) {
       window.favoritesHandler.updateButtons(this);
     }
+
+    this.refreshBulkActions();
   }
 
   /**
-   * Fetch a product card via Section Rendering API
+   * Saved variant while it is in stock, otherwise the first available one
    */
-  async fetchProductCard(handle) {
-    try {
-      const params = new URLSearchParams({
-        section_id: 'card-product-standalone',
-        show_vendor: this.settings.showVendor ? 'true' : 'false',
-        image_ratio: this.settings.imageRatio || 'adapt',
-      });
-
-      const response = await fetch(`/products/${handle}?${params.toString()}`, {
-        method: 'GET',
-        headers: { Accept: 'text/html' },
-      });
-
-      if (!response.ok) return null;
-
-      const html = await response.text();
-      const temp = document.createElement('div');
-      temp.innerHTML = html;
-
-      const card = temp.querySelector('.card-wrapper');
-      return card ? card.outerHTML : null;
-    } catch (error) {
-      console.error(`AccountFavorites: Error fetching product ${handle}:`, error);
-      return null;
+  getCartVariantId(fav) {
+    const variants = this.productVariants.get(fav.handle) || [];
+    const variant = variants.find(item => item.id === fav.variantId && item.available) ||
+      variants.find(item => item.available);
+    return variant ? variant.id : null;
+  }
+
+  /**
+   * Called by <favorites-bulk-actions>; the account shows all lists, so products leave every list
+   * @returns {Array} Removed favorites as they were before, for Undo
+   */
+  removeFavorites(ids) {
+    if (!window.favoritesHandler || !ids.length) return [];
+    return window.favoritesHandler.removeFavorites(ids);
+  }
+
+  /**
+   * Clears all favorites, not only the ones shown here (the grid is capped at maxProducts)
+   * @returns {Array} Removed favorites as they were before, for Undo
+   */
+  clearFavorites() {
+    return this.removeFavorites(this.getFavorites().map(fav => fav.id).filter(Boolean));
+  }
+
+  refreshBulkActions() {
+    const bulkActions = this.querySelector('favorites-bulk-actions');
+    if (bulkActions && typeof bulkActions.refresh === 'function') {
+      bulkActions.refresh();
     }
   }
 
+  /**
+   * Fetch a product card through the shared card loader (batched per render)
+   */
+  async fetchProductCard(handle) {
+    const card = await window.productCardLoader.get(handle, {
+      showVendor: this.settings.showVendor,
+      imageRatio: this.settings.imageRatio || 'adapt',
+    });
+    if (!card) return null;
+
+    this.productVariants.set(handle, card.variants);
+    return card.html;
+  }
+
   showLoading() {
     if (this.loadingState) this.loadingState.style.display = '';
     if (this.emptyState) this.emptyState.style.display = 'none';
@@ -162,7 +172,9 @@ class AccountFavorites extends HTMLElement {
   showEmpty() {
     this.hideLoading();
     this.grid.style.display = 'none';
+    this.grid.innerHTML = '';
     if (this.emptyState) this.emptyState.style.display = '';
+    this.refreshBulkActions();
   }
 
   hideEmpty() {
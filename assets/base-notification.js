@@ -1,6 +1,11 @@
 /**
  * Base notification class for cart and favorites notifications
  * Shared functionality to minimize code duplication
+ *
+ * BaseNotification.toast() shows short messages (success, error, info) in a
+ * stack at the bottom of the screen, with an optional action such as "Log in"
+ * or "Undo". Toasts beyond BaseNotification.MAX_TOASTS wait in a queue, and
+ * every toast is announced to screen readers; errors assertively.
  */
 if (typeof window !== 'undefined') {
   window.BaseNotification = class BaseNotification extends HTMLElement {
@@ -104,5 +109,170 @@ if (typeof window !== 'undefined') {
   setActiveElement(element) {
     this.activeElement = element;
   }
+
+  /**
+   * Show a toast, or queue it while the stack is full
+   * @param {Object} options
+   * @param {string} options.message - Toast text
+   * @param {'success'|'error'|'info'} [options.type='info']
+   * @param {{label: string, href?: string, onClick?: Function}} [options.action] - Link, or button that dismisses the toast after onClick
+   * @param {number} [options.duration] - Auto-dismiss delay in ms, 0 to keep the toast until closed.
+   *   Defaults to 8 s for errors and toasts with an action, 5 s otherwise
+   * @returns {{dismiss: Function}}
+   */
+  static toast({ message, type = 'info', action = null, duration } = {}) {
+    const toast = {
+      message,
+      type,
+      action,
+      duration: duration ?? (action || type === 'error' ? 8000 : 5000),
+      element: null,
+      timer: null,
+    };
+    toast.dismiss = () => BaseNotification.dismissToast(toast);
+
+    BaseNotification.toastQueue.push(toast);
+    BaseNotification.showQueuedToasts();
+    return { dismiss: toast.dismiss };
+  }
+
+  /**
+   * @private
+   */
+  static showQueuedToasts() {
+    while (BaseNotification.toasts.length < BaseNotification.MAX_TOASTS && BaseNotification.toastQueue.length) {
+      const toast = BaseNotification.toastQueue.shift();
+      BaseNotification.toasts.push(toast);
+      BaseNotification.renderToast(toast);
+    }
+  }
+
+  /**
+   * @private
+   */
+  static renderToast(toast) {
+    const strings = window.theme?.strings?.notifications || {};
+    const element = document.createElement('div');
+    element.className = `notification-toast notification-toast--${toast.type}`;
+
+    const message = document.createElement('p');
+    message.className = 'notification-toast__message';
+    message.textContent = toast.message;
+    element.append(message);
+
+    if (toast.action) {
+      const action = document.createElement(toast.action.href ? 'a' : 'button');
+      action.className = 'notification-toast__action link';
+      action.textContent = toast.action.label;
+      if (toast.action.href) {
+        action.href = toast.action.href;
+      } else {
+        action.type = 'button';
+        action.addEventListener('click', () => {
+          toast.action.onClick?.();
+          toast.dismiss();
+        });
+      }
+      element.append(action);
+    }
+
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.className = 'notification-toast__close';
+    close.setAttribute('aria-label', strings.close || 'Close');
+    close.innerHTML = '<span aria-hidden="true">&times;</span>';
+    close.addEventListener('click', toast.dismiss);
+    element.append(close);
+
+    // Keep the toast while the shopper reads or reaches for the action
+    const pause = () => clearTimeout(toast.timer);
+    const resume = () => BaseNotification.startToastTimer(toast);
+    element.addEventListener('mouseenter', pause);
+    element.addEventListener('focusin', pause);
+    element.addEventListener('mouseleave', resume);
+    element.addEventListener('focusout', (event) => {
+      if (!element.contains(event.relatedTarget)) resume();
+    });
+    element.addEventListener('keyup', (event) => event.code === 'Escape' && toast.dismiss());
+
+    toast.element = element;
+    BaseNotification.getToastRegion().append(element);
+    requestAnimationFrame(() => element.classList.add('notification-toast--visible'));
+    BaseNotification.announce(toast.action ? `${toast.message} ${toast.action.label}` : toast.message, toast.type);
+    BaseNotification.startToastTimer(toast);
+  }
+
+  /**
+   * @private
+   */
+  static startToastTimer(toast) {
+    clearTimeout(toast.timer);
+    if (toast.duration > 0) toast.timer = setTimeout(toast.dismiss, toast.duration);
+  }
+
+  /**
+   * @private
+   */
+  static dismissToast(toast) {
+    const queued = BaseNotification.toastQueue.indexOf(toast);
+    if (queued !== -1) {
+      BaseNotification.toastQueue.splice(queued, 1);
+      return;
+    }
+
+    const index = BaseNotification.toasts.indexOf(toast);
+    if (index === -1) return;
+
+    clearTimeout(toast.timer);
+    BaseNotification.toasts.splice(index, 1);
+    toast.element.classList.remove('notification-toast--visible');
+    setTimeout(() => toast.element.remove(), 250);
+    BaseNotification.showQueuedToasts();
+  }
+
+  /**
+   * Stack container plus one polite and one assertive live region, created on first use
+   * @private
+   */
+  static getToastRegion() {
+    if (!BaseNotification.toastRegion) {
+      const strings = window.theme?.strings?.notifications || {};
+      const region = document.createElement('div');
+      region.className = 'notification-toasts';
+      region.setAttribute('role', 'region');
+      region.setAttribute('aria-label', strings.label || 'Notifications');
+
+      const live = (politeness) => {
+        const element = document.createElement('div');
+        element.className = 'visually-hidden';
+        element.setAttribute('aria-live', politeness);
+        return element;
+      };
+      BaseNotification.politeRegion = live('polite');
+      BaseNotification.assertiveRegion = live('assertive');
+
+      document.body.append(region, BaseNotification.politeRegion, BaseNotification.assertiveRegion);
+      BaseNotification.toastRegion = region;
+    }
+    return BaseNotification.toastRegion;
+  }
+
+  /**
+   * @private
+   */
+  static announce(message, type) {
+    BaseNotification.getToastRegion();
+    const region = type === 'error' ? BaseNotification.assertiveRegion : BaseNotification.politeRegion;
+    // One node per message, so toasts shown together are all read out
+    const item = document.createElement('p');
+    item.textContent = message;
+    setTimeout(() => region.append(item), 100);
+    setTimeout(() => item.remove(), 10000);
+  }
   };
+
+  window.BaseNotification.MAX_TOASTS = 3;
+  window.BaseNotification.toasts = [];
+  window.BaseNotification.toastQueue = [];
+  window.BaseNotification.toastRegion = null;
 }
@@ -7,6 +7,7 @@ if (!customElements.get('cart-notification')) {
 
     renderContents(parsedState) {
       this.cartItemKey = parsedState.key;
+      this.setHeading();
       this.getSectionsToRender().forEach((section) => {
         const element = document.getElementById(section.id);
         if (element) {
@@ -21,6 +22,43 @@ if (!customElements.get('cart-notification')) {
       this.open();
     }
 
+    /**
+     * Several line items added in one request: the heading gives the number of
+     * items added instead of showing a single line item
+     * @param {Object} parsedState - /cart/add.js response with the rendered sections
+     * @param {number} quantity - Total quantity added
+     */
+    renderItemsAdded(parsedState, quantity) {
+      this.cartItemKey = null;
+      this.getSectionsToRender().forEach((section) => {
+        const element = document.getElementById(section.id);
+        if (!element) return;
+        element.innerHTML =
+          section.id === 'cart-notification-product'
+            ? ''
+            : this.getSectionInnerHTML(parsedState.sections[section.id], section.selector);
+      });
+
+      const strings = window.quickOrderListStrings || {};
+      const template = quantity === 1 ? strings.itemAdded : strings.itemsAdded;
+      this.setHeading(template && template.replace('[quantity]', quantity));
+
+      if (this.header) this.header.reveal();
+      this.open();
+    }
+
+    /**
+     * @param {string} [text] - Heading text, the "Item added" heading when empty
+     */
+    setHeading(text) {
+      const heading = this.querySelector('[data-cart-notification-heading]');
+      if (!heading) return;
+
+      heading.dataset.defaultText = heading.dataset.defaultText || heading.textContent;
+      heading.textContent = text || heading.dataset.defaultText;
+      this.notification?.setAttribute('aria-label', heading.textContent);
+    }
+
     getSectionsToRender() {
       return [
         {
@@ -1,21 +1,20 @@
 /**
  * Cart Quantity Manager
  * Handles dynamic display of cart quantities across the site
+ * Cart data comes from theme-store.js, which shares one /cart.js request
  */
 
 class CartQuantityManager {
   constructor() {
     this.cartData = null;
-    this.cartUpdateUnsubscriber = null;
+    this.cartUnsubscriber = null;
     this.init();
   }
 
   init() {
-    // Subscribe to cart updates
-    this.cartUpdateUnsubscriber = subscribe(PUB_SUB_EVENTS.cartUpdate, (event) => {
-      if (event.source !== 'cart-quantity') {
-        this.updateCartQuantities(event.cartData);
-      }
+    // The store publishes complete carts only, also after partial cartUpdate payloads
+    this.cartUnsubscriber = window.themeStore.subscribe('cart', (cart) => {
+      this.updateCartQuantities(cart);
     });
 
     // Initial cart fetch
@@ -23,15 +22,8 @@ class CartQuantityManager {
   }
 
   async fetchCartData() {
-    try {
-      const response = await fetch('/cart.js');
-      if (response.ok) {
-        this.cartData = await response.json();
-        this.updateCartQuantities(this.cartData);
-      }
-    } catch (error) {
-      console.error('Error fetching cart data:', error);
-    }
+    const cart = await window.themeStore.fetchCart();
+    this.updateCartQuantities(cart);
   }
 
   updateCartQuantities(cartData) {
@@ -39,18 +31,14 @@ class CartQuantityManager {
     
     this.cartData = cartData;
     
-    // Update header cart count from item_count (always available and reliable)
+    // Update header cart count from item_count (always present on store carts)
     const itemCount = cartData?.item_count ?? 0;
     this.updateHeaderCartCount(itemCount);
     
-    // Update product card quantities only if we have complete items array
-    // If items array is missing, skip the update to preserve optimistic updates
-    // The quantities will be corrected on the next full cart fetch or natural update
-    if (Array.isArray(cartData.items) && cartData.items.length > 0) {
+    // Store carts are complete, so an empty items array means an empty cart
+    if (Array.isArray(cartData.items)) {
       this.updateProductCardQuantities(cartData.items);
     }
-    // Note: We don't fetch full cart data here to avoid overwriting optimistic updates
-    // The cart will be synced naturally through other cart operations
   }
 
   updateHeaderCartCount(itemCount) {
@@ -229,8 +217,8 @@ class CartQuantityManager {
   }
 
   destroy() {
-    if (this.cartUpdateUnsubscriber) {
-      this.cartUpdateUnsubscriber();
+    if (this.cartUnsubscriber) {
+      this.cartUnsubscriber();
     }
   }
 }
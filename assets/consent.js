@@ -0,0 +1,201 @@
+/**
+ * Consent
+ * Gates client-side storage and third-party requests on the shopper's consent,
+ * read from Shopify's Customer Privacy API (window.Shopify.customerPrivacy).
+ *
+ * Features ask by purpose (themeConsent.allows('recentlyViewed')).
+ * ConsentManager.PURPOSES maps every purpose to a consent category, so this is
+ * the one place to change what needs which consent. Purposes mapped to null
+ * (requests a logged-in customer makes about their own account) need none.
+ *
+ * - Until the API has loaded, nothing is allowed. Use whenAllowed() or the
+ *   `ready` promise to act once consent is known instead of dropping the action.
+ * - When the API cannot load (blocked script), or has not answered within
+ *   ConsentManager.READY_TIMEOUT, `ready` resolves with nothing allowed, so
+ *   callers that await it (vps-client.js, instagram-feed.js) fail fast with
+ *   consent_required instead of hanging. A later answer still applies.
+ * - Withdrawing a category removes the stored keys of its purposes
+ *   (ConsentManager.STORAGE). Categories that are not allowed on page load are
+ *   purged as well, so storage written under earlier consent does not linger.
+ * - Every change is published as PUB_SUB_EVENTS.consentChange with
+ *   {granted, withdrawn} category lists.
+ * Dependencies: constants.js, pubsub.js
+ */
+class ConsentManager {
+  constructor() {
+    this.api = null;
+    /** @type {{preferences: boolean, analytics: boolean, marketing: boolean, saleOfData: boolean}} */
+    this.allowed = { preferences: false, analytics: false, marketing: false, saleOfData: false };
+
+    this.ready = new Promise((resolve) => {
+      this.resolveReady = resolve;
+    });
+    this.readyTimer = null;
+
+    document.addEventListener('visitorConsentCollected', () => this.refresh());
+
+    if (typeof window.Shopify?.loadFeatures !== 'function') {
+      // No storefront consent framework on this page (e.g. local development)
+      this.update({ preferences: true, analytics: true, marketing: true, saleOfData: true });
+      return;
+    }
+
+    // onLoad may never fire (blocked or stalled script)
+    this.readyTimer = setTimeout(() => {
+      console.warn('Consent: Customer Privacy API did not respond, treating consent as denied');
+      this.resolveReady();
+    }, ConsentManager.READY_TIMEOUT);
+
+    window.Shopify.loadFeatures([
+      {
+        name: 'consent-tracking-api',
+        version: '0.1',
+        onLoad: (error) => {
+          if (error) {
+            console.warn('Consent: Customer Privacy API could not be loaded', error);
+            this.settleDenied();
+            return;
+          }
+          this.refresh();
+        },
+      },
+    ]);
+  }
+
+  /**
+   * @param {string} purpose - Key of ConsentManager.PURPOSES, or a category name
+   * @returns {boolean} Whether the purpose may run now
+   */
+  allows(purpose) {
+    if (!this.requiresConsent(purpose)) return true;
+    const category = ConsentManager.PURPOSES[purpose] || purpose;
+    return !!this.allowed[category];
+  }
+
+  /**
+   * @param {string} purpose - Key of ConsentManager.PURPOSES, or a category name
+   * @returns {boolean} False for purposes mapped to null, which run without consent
+   */
+  requiresConsent(purpose) {
+    return ConsentManager.PURPOSES[purpose] !== null;
+  }
+
+  /**
+   * Resolves once the purpose is allowed, which may be never
+   * @param {string} purpose - Key of ConsentManager.PURPOSES, or a category name
+   * @returns {Promise<void>}
+   */
+  whenAllowed(purpose) {
+    if (this.allows(purpose)) return Promise.resolve();
+
+    return new Promise((resolve) => {
+      const unsubscribe = subscribe(PUB_SUB_EVENTS.consentChange, () => {
+        if (!this.allows(purpose)) return;
+        unsubscribe();
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Re-read consent from the Customer Privacy API
+   * @private
+   */
+  refresh() {
+    this.api = window.Shopify?.customerPrivacy || null;
+    if (!this.api) {
+      this.settleDenied();
+      return;
+    }
+
+    this.update({
+      preferences: this.api.preferencesProcessingAllowed(),
+      analytics: this.api.analyticsProcessingAllowed(),
+      marketing: this.api.marketingAllowed(),
+      saleOfData: this.api.saleOfDataAllowed(),
+    });
+  }
+
+  /**
+   * @private
+   */
+  update(allowed) {
+    const granted = [];
+    const withdrawn = [];
+
+    Object.keys(this.allowed).forEach((category) => {
+      const isAllowed = !!allowed[category];
+      if (isAllowed && !this.allowed[category]) granted.push(category);
+      if (!isAllowed && this.allowed[category]) withdrawn.push(category);
+      if (!isAllowed) this.purge(category);
+    });
+
+    this.allowed = { ...this.allowed, ...allowed };
+    clearTimeout(this.readyTimer);
+    this.resolveReady();
+
+    if (granted.length || withdrawn.length) {
+      publish(PUB_SUB_EVENTS.consentChange, { granted, withdrawn });
+    }
+  }
+
+  /**
+   * Consent cannot be read: resolve `ready` with nothing allowed
+   * @private
+   */
+  settleDenied() {
+    clearTimeout(this.readyTimer);
+    this.resolveReady();
+  }
+
+  /**
+   * Remove stored keys of every purpose in the category
+   * @private
+   */
+  purge(category) {
+    Object.keys(ConsentManager.PURPOSES)
+      .filter((purpose) => ConsentManager.PURPOSES[purpose] === category)
+      .forEach((purpose) => {
+        const patterns = ConsentManager.STORAGE[purpose] || [];
+        [window.localStorage, window.sessionStorage].forEach((storage) => {
+          try {
+            Object.keys(storage)
+              .filter((key) => patterns.some((pattern) => (pattern instanceof RegExp ? pattern.test(key) : pattern === key)))
+              .forEach((key) => storage.removeItem(key));
+          } catch (error) {
+            // Storage unavailable
+          }
+        });
+      });
+  }
+}
+
+/**
+ * ms to wait for the Customer Privacy API before `ready` resolves with consent denied
+ */
+ConsentManager.READY_TIMEOUT = 5000;
+
+/**
+ * Purpose -> Customer Privacy API category
+ * (preferences, analytics, marketing, saleOfData)
+ */
+ConsentManager.PURPOSES = {
+  recentlyViewed: 'preferences', // browsing history, on the device and in the account
+  guestFavorites: 'preferences', // favorites of shoppers who are not logged in
+  instagramCache: 'preferences', // cached Instagram feed responses
+  instagram: 'marketing', // Instagram feed media, served from Instagram's CDN
+  vps: 'preferences', // favorites and recently viewed sync through the VPS app
+  account: null, // the logged-in customer's own loyalty balance, redemptions and history
+};
+
+/**
+ * Purpose -> localStorage / sessionStorage keys removed when its category is withdrawn
+ */
+ConsentManager.STORAGE = {
+  recentlyViewed: [/^recentlyViewedProducts/],
+  guestFavorites: ['guestFavorites', 'favoritesBroadcast'],
+  instagramCache: [/^instagramFeed:/],
+};
+
+window.ConsentManager = ConsentManager;
+window.themeConsent = new ConsentManager();
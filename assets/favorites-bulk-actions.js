@@ -0,0 +1,203 @@
+/**
+ * Favorites Bulk Actions
+ * Selection checkboxes and bulk actions for <favorites-page> and <account-favorites>:
+ * add selected to cart, remove selected, clear all.
+ *
+ * The host element renders the cards and calls refresh() afterwards. Each grid
+ * item carries data-favorite-id and data-variant-id (empty when nothing is in stock).
+ * Removal goes through the host (removeFavorites / clearFavorites), which knows
+ * whether it shows one list or all favorites, and returns what it removed so
+ * the toast can offer Undo.
+ * Dependencies: favorites-handler.js, theme-store.js, pubsub.js, constants.js, global.js (addItemsToCart),
+ * base-notification.js (toasts)
+ */
+class FavoritesBulkActions extends HTMLElement {
+    connectedCallback() {
+        this.host = this.closest('favorites-page, account-favorites');
+        if (!this.host) return;
+
+        this.selectAll = this.querySelector('[data-select-all]');
+        this.countElement = this.querySelector('[data-selected-count]');
+        this.messageElement = this.querySelector('[data-bulk-message]');
+
+        this.addEventListener('click', this.onClick.bind(this));
+        this.selectAll.addEventListener('change', () => {
+            this.getCheckboxes().forEach(checkbox => {
+                checkbox.checked = this.selectAll.checked;
+            });
+            this.updateState();
+        });
+        this.host.addEventListener('change', (event) => {
+            if (event.target.matches('.favorites-select__input')) this.updateState();
+        });
+
+        this.refresh();
+    }
+
+    /**
+     * Adds a checkbox to every rendered card and resets the toolbar.
+     * Called by the host after each render.
+     */
+    refresh() {
+        if (!this.host) return;
+
+        const items = this.getItems();
+        items.forEach(item => {
+            if (item.querySelector('.favorites-select')) return;
+
+            const title = item.querySelector('.card__heading')?.textContent.trim() || '';
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+
+            label.className = 'favorites-select';
+            checkbox.type = 'checkbox';
+            checkbox.className = 'favorites-select__input';
+            checkbox.value = item.dataset.favoriteId;
+            checkbox.setAttribute('aria-label', (this.dataset.selectItemText || 'Select [title]').replace('[title]', title));
+
+            label.appendChild(checkbox);
+            item.prepend(label);
+            item.classList.add('favorites-selectable');
+        });
+
+        this.hidden = items.length === 0;
+        this.updateState();
+    }
+
+    /**
+     * @returns {Array} Grid items rendered by the host
+     * @private
+     */
+    getItems() {
+        return Array.from(this.host.querySelectorAll('li[data-favorite-id]'));
+    }
+
+    /**
+     * @private
+     */
+    getCheckboxes() {
+        return Array.from(this.host.querySelectorAll('.favorites-select__input'));
+    }
+
+    /**
+     * @returns {Array} Grid items whose checkbox is checked
+     * @private
+     */
+    getSelectedItems() {
+        return this.getCheckboxes()
+            .filter(checkbox => checkbox.checked)
+            .map(checkbox => checkbox.closest('li[data-favorite-id]'))
+            .filter(Boolean);
+    }
+
+    /**
+     * Syncs the count, select-all checkbox and button states with the selection
+     * @private
+     */
+    updateState() {
+        const total = this.getCheckboxes().length;
+        const selected = this.getSelectedItems().length;
+
+        this.selectAll.checked = total > 0 && selected === total;
+        this.selectAll.indeterminate = selected > 0 && selected < total;
+        this.countElement.textContent = selected ?
+            (this.dataset.selectedText || '[count] selected').replace('[count]', selected) : '';
+
+        this.querySelectorAll('[data-bulk-action="add"], [data-bulk-action="remove"]').forEach(button => {
+            button.disabled = selected === 0;
+        });
+    }
+
+    /**
+     * @private
+     */
+    onClick(event) {
+        const button = event.target.closest('[data-bulk-action]');
+        if (!button || button.disabled || button.getAttribute('aria-disabled') === 'true') return;
+
+        switch (button.dataset.bulkAction) {
+            case 'add':
+                this.addSelectedToCart(button);
+                break;
+            case 'remove':
+                this.showRemovedToast(this.host.removeFavorites(this.getSelectedItems().map(item => item.dataset.favoriteId)));
+                break;
+            case 'clear':
+                if (window.confirm(this.dataset.clearConfirm || 'Remove all favorites?')) {
+                    this.showRemovedToast(this.host.clearFavorites());
+                }
+                break;
+        }
+    }
+
+    /**
+     * Adds the selected products in one /cart/add.js request, using the
+     * variant each favorite was saved with
+     * @param {HTMLElement} button - Add button, shows the loading state
+     * @private
+     */
+    async addSelectedToCart(button) {
+        const selected = this.getSelectedItems();
+        const variantIds = selected.map(item => parseInt(item.dataset.variantId, 10)).filter(Boolean);
+        const spinner = button.querySelector('.loading__spinner');
+
+        this.showMessage('');
+
+        if (!variantIds.length) {
+            this.showMessage(this.dataset.unavailableText);
+            return;
+        }
+
+        button.setAttribute('aria-disabled', 'true');
+        button.classList.add('loading');
+        spinner?.classList.remove('hidden');
+
+        try {
+            await addItemsToCart(variantIds.map(id => ({ id, quantity: 1 })), {
+                source: 'favorites-bulk-actions',
+                activeElement: button
+            });
+
+            const added = (this.dataset.addedText || '[count] added to cart').replace('[count]', variantIds.length);
+            this.showMessage(variantIds.length < selected.length ? `${added} ${this.dataset.unavailableText || ''}` : added);
+        } catch (error) {
+            console.error('Error adding favorites to cart:', error);
+            this.showMessage(error.message || this.dataset.errorText);
+        } finally {
+            button.removeAttribute('aria-disabled');
+            button.classList.remove('loading');
+            spinner?.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Confirms a removal with an Undo action
+     * @param {Array} [removed] - Favorites as they were before, returned by the host
+     * @private
+     */
+    showRemovedToast(removed) {
+        if (!removed || !removed.length || !window.BaseNotification) return;
+
+        window.BaseNotification.toast({
+            message: (this.dataset.removedText || '[count] removed from your favorites.').replace('[count]', removed.length),
+            type: 'success',
+            action: {
+                label: window.theme?.strings?.notifications?.undo || 'Undo',
+                onClick: () => window.favoritesHandler?.restoreFavorites(removed)
+            }
+        });
+    }
+
+    /**
+     * @private
+     */
+    showMessage(message) {
+        this.messageElement.textContent = message || '';
+        this.messageElement.hidden = !message;
+    }
+}
+
+if (!customElements.get('favorites-bulk-actions')) {
+    customElements.define('favorites-bulk-actions', FavoritesBulkActions);
+}
+window.FavoritesBulkActions = FavoritesBulkActions;
@@ -1,15 +1,49 @@
 /**
  * Handles favorite product functionality for both logged-in and non-logged-in users
  * Manages favorites storage, UI updates, and navigation to favorites page
+ * Publishes its state to the favorites slice of theme-store.js
+ * Guest favorites are only written to localStorage with preferences consent
+ * (consent.js); without it they last for the current page only
+ * Dependencies: consent.js, vps-client.js, theme-store.js (must be loaded first)
  */
 class FavoritesHandler {
     constructor() {
         this.isLoggedIn = !!(window.Shopify && window.Shopify.customerId);
-        this.favorites = new Map(); // id -> {id, handle}
+        this.favorites = new Map(); // id -> {id, handle, updatedAt, lists, variantId, price, available, addedAt}
+        this.isReady = false; // true once the initial load has finished
+        this.longPressDelay = 500; // ms a heart is held to open the list picker
+        this.longPressTimer = null;
+        this.pressedHeart = null; // heart under a pointer that is still down
+        this.longPressed = null; // heart whose long press opened the picker; its click is skipped
+
+        // Named lists ("Birthday", "Gift ideas", ...). A product is a favorite
+        // while it belongs to at least one list; the default list always exists
+        this.defaultListId = 'default';
+        this.strings = window.theme?.strings?.favoriteLists || {};
+        this.lists = this.parseLists([]); // id -> {id, name, updatedAt}
+
+        // Offline outbox for logged-in users, keyed per customer so a shared
+        // browser never replays one account's changes into another
+        this.outboxKey = this.isLoggedIn ? `favoritesOutbox:${window.Shopify.customerId}` : null;
+        this.tombstoneTtl = 30 * 24 * 60 * 60 * 1000; // keep removals for 30 days
+        this.isFlushing = false;
+        this.flushQueued = false;
+
+        // Cross-tab sync: BroadcastChannel where supported, 'storage' events otherwise
+        this.broadcastKey = 'favoritesBroadcast';
+        this.channel = 'BroadcastChannel' in window ? new BroadcastChannel('favorites') : null;
 
         this.loadFavorites().then(favorites => {
-            this.favorites = favorites;
+            // The metafield is a page-load snapshot; replay changes that never reached the server
+            this.favorites = this.isLoggedIn ? this.applyOutbox(favorites, this.readOutbox()) : favorites;
+            this.isReady = true;
             this.initializeUI();
+            this.publishState();
+            window.dispatchEvent(new CustomEvent('favorites:ready'));
+
+            if (this.isLoggedIn) {
+                this.flushOutbox();
+            }
 
             // Migrate guest favorites to user account on login
             if (this.isLoggedIn) {
@@ -18,7 +52,7 @@ class FavoritesHandler {
                     try {
                         const parsed = JSON.parse(guestData);
                         if (parsed && parsed.saved && Array.isArray(parsed.saved)) {
-                            this.migrateGuestFavorites(parsed.saved);
+                            this.migrateGuestFavorites(parsed);
                         }
                     } catch (e) {
                         console.error('Error parsing guest favorites:', e);
@@ -64,7 +98,7 @@ class FavoritesHandler {
 
     /**
      * Loads favorites from customer metafields (logged-in users) or localStorage (guests)
-     * Expected format: {saved: [{id, handle}, ...]}
+     * Expected format: {saved: [{id, handle, lists}, ...], lists: [{id, name}, ...]}
      * @returns {Promise<Map>} Map of favorite products
      */
     async loadFavorites() {
@@ -82,7 +116,8 @@ class FavoritesHandler {
 
     /**
      * Loads favorites from customer metafield (logged-in users)
-     * Expected format: {saved: [{id, handle}, ...]}
+     * Expected format: {saved: [{id, handle, updatedAt, lists}, ...], removed: [{id, removedAt}, ...], lists: [...]}
+     * updatedAt, removed and lists are optional; entries without them count as oldest
      * @returns {Map} Map of favorite products
      * @private
      */
@@ -110,20 +145,7 @@ class FavoritesHandler {
 
         // Handle expected format: {saved: [{id, handle}, ...]}
         if (metafieldData && typeof metafieldData === 'object' && metafieldData.saved && Array.isArray(metafieldData.saved)) {
-            const favorites = new Map();
-            metafieldData.saved.forEach(item => {
-                if (item && item.id) {
-                    const id = typeof item.id === 'number' ? item.id : parseInt(item.id, 10);
-                    const handle = item.handle || '';
-                    if (id && !isNaN(id)) {
-                        favorites.set(id, {
-                            id: id,
-                            handle: handle.includes('%') ? decodeURIComponent(handle) : handle
-                        });
-                    }
-                }
-            });
-            return favorites;
+            return this.parseFavoritesData(metafieldData);
         }
 
         console.warn('Favorites metafield format not recognized. Expected: {saved: [{id, handle}, ...]}');
@@ -146,39 +168,145 @@ class FavoritesHandler {
                 return new Map();
             }
 
-            const favorites = new Map();
-            parsed.saved.forEach(item => {
-                if (item && item.id) {
-                    const id = typeof item.id === 'number' ? item.id : parseInt(item.id, 10);
-                    const handle = item.handle || '';
-                    if (id && !isNaN(id)) {
-                        favorites.set(id, {
-                            id: id,
-                            handle: handle.includes('%') ? decodeURIComponent(handle) : handle
-                        });
-                    }
-                }
-            });
-            return favorites;
+            return this.parseFavoritesData(parsed);
         } catch (e) {
             console.error('Error loading favorites from localStorage:', e);
             return new Map();
         }
     }
 
+    /**
+     * Parses a stored favorites payload and replaces the known lists.
+     * Legacy payloads ({saved: [...]} without lists) load into the default list.
+     * @param {Object} data - {saved: [{id, handle, updatedAt, lists, ...details}, ...], lists: [{id, name, updatedAt}, ...]}
+     * @returns {Map} Map of favorite products
+     * @private
+     */
+    parseFavoritesData(data) {
+        this.lists = this.parseLists(data.lists);
+
+        const favorites = new Map();
+        data.saved.forEach(item => {
+            if (item && item.id) {
+                const id = typeof item.id === 'number' ? item.id : parseInt(item.id, 10);
+                const handle = item.handle || '';
+                if (id && !isNaN(id)) {
+                    favorites.set(id, {
+                        ...this.pickDetails(item),
+                        id: id,
+                        handle: handle.includes('%') ? decodeURIComponent(handle) : handle,
+                        updatedAt: item.updatedAt || 0,
+                        lists: this.normalizeItemLists(item.lists)
+                    });
+                }
+            }
+        });
+        return favorites;
+    }
+
+    /**
+     * Optional details saved with a favorite: the variant that was selected,
+     * its price (cents) and availability at that moment, and when the product
+     * was first added. Entries saved before these existed have none of them.
+     * @param {Object} item - Favorite entry or snapshot
+     * @returns {Object} {variantId, price, available, addedAt}, missing fields left out
+     * @private
+     */
+    pickDetails(item) {
+        const details = {};
+        ['variantId', 'price', 'available', 'addedAt'].forEach(key => {
+            if (item && item[key] !== undefined && item[key] !== null) {
+                details[key] = item[key];
+            }
+        });
+        return details;
+    }
+
+    /**
+     * Reads the variant, price and availability a heart button was rendered
+     * with. Inside a product form the selected variant input wins.
+     * @param {HTMLElement} [anchor] - Heart button
+     * @returns {Object} Details for pickDetails()
+     * @private
+     */
+    getProductSnapshot(anchor) {
+        if (!anchor) return {};
+
+        const variantInput = anchor.closest('form')?.querySelector('[name="id"]');
+        const variantId = parseInt(variantInput?.value || anchor.dataset.variantId, 10);
+        const price = parseInt(anchor.dataset.price, 10);
+
+        return this.pickDetails({
+            variantId: isNaN(variantId) ? null : variantId,
+            price: isNaN(price) ? null : price,
+            available: anchor.dataset.available ? anchor.dataset.available === 'true' : null
+        });
+    }
+
+    /**
+     * Builds the list map from stored custom lists. The default list is not
+     * stored; it is always present and takes its name from the locale.
+     * Deleted lists (tombstones with deletedAt) are skipped.
+     * @param {Array} lists - [{id, name, updatedAt, deletedAt}, ...]
+     * @returns {Map} id -> {id, name, updatedAt}
+     * @private
+     */
+    parseLists(lists) {
+        const parsed = new Map([[this.defaultListId, {
+            id: this.defaultListId,
+            name: this.strings.defaultName || 'Favorites',
+            updatedAt: 0
+        }]]);
+
+        (Array.isArray(lists) ? lists : []).forEach(list => {
+            if (!list || !list.id || list.deletedAt || list.id === this.defaultListId) return;
+            parsed.set(String(list.id), {
+                id: String(list.id),
+                name: String(list.name || '').trim() || this.strings.untitled || 'Untitled list',
+                updatedAt: list.updatedAt || 0
+            });
+        });
+
+        return parsed;
+    }
+
+    /**
+     * Keeps only known list IDs; items without any (legacy entries, or lists
+     * deleted on another device) fall back to the default list
+     * @param {Array} lists - List IDs stored on the item
+     * @returns {Array} List IDs
+     * @private
+     */
+    normalizeItemLists(lists) {
+        const valid = Array.isArray(lists) ? lists.filter(listId => this.lists.has(listId)) : [];
+        return valid.length ? Array.from(new Set(valid)) : [this.defaultListId];
+    }
+
+    /**
+     * Custom lists in storage format (the default list is implicit)
+     * @returns {Array} [{id, name, updatedAt}, ...]
+     * @private
+     */
+    serializeLists() {
+        return Array.from(this.lists.values()).filter(list => list.id !== this.defaultListId);
+    }
+
     /**
      * Saves favorites to localStorage (for guests only)
-     * Format: {saved: [{id, handle}, ...]}
+     * Format: {saved: [{id, handle, updatedAt, lists}, ...], lists: [{id, name, updatedAt}, ...]}
      * @private
      */
     saveFavorites() {
         if (this.isLoggedIn) {
             return; // Logged-in users sync to server, not localStorage
         }
+        if (!window.themeConsent.allows('guestFavorites')) {
+            return;
+        }
 
         try {
             const favoritesArray = Array.from(this.favorites.values());
-            const data = { saved: favoritesArray };
+            const data = { saved: favoritesArray, lists: this.serializeLists() };
             localStorage.setItem('guestFavorites', JSON.stringify(data));
         } catch (e) {
             console.warn('localStorage is not available:', e);
@@ -191,9 +319,19 @@ class FavoritesHandler {
      */
     setupEventListeners() {
         document.addEventListener('click', (e) => {
+            const listButton = e.target.closest('[data-favorites-list-picker]');
+            if (listButton?.dataset.productId) {
+                // The heart in the same form carries the selected variant
+                const heart = listButton.closest('form')?.querySelector('.button--favorite-heart');
+                this.openListPicker(listButton.dataset.productId, listButton, heart || listButton);
+                return;
+            }
+
             const favoriteButton = e.target.closest('.favorite-icon');
             if (favoriteButton?.dataset.productId) {
-                this.toggleFavorite(favoriteButton.dataset.productId);
+                if (!this.wasLongPressed(favoriteButton)) {
+                    this.toggleFavorite(favoriteButton.dataset.productId, favoriteButton);
+                }
                 return;
             }
 
@@ -204,6 +342,42 @@ class FavoritesHandler {
             }
         });
 
+        // Long press (touch) or right click on a heart opens the list picker
+        const heartSelector = '.favorite-icon[data-product-id], .button--favorite-heart[data-product-id]';
+        const cancelLongPress = () => clearTimeout(this.longPressTimer);
+        document.addEventListener('pointerdown', (e) => {
+            const heart = e.target.closest(heartSelector);
+            if (!heart || e.button !== 0) return;
+
+            cancelLongPress();
+            this.pressedHeart = heart;
+            this.longPressTimer = setTimeout(() => {
+                this.longPressed = heart;
+                this.openListPicker(heart.dataset.productId, heart);
+            }, this.longPressDelay);
+        });
+        ['pointercancel', 'scroll'].forEach(type => {
+            document.addEventListener(type, cancelLongPress, { capture: true, passive: true });
+        });
+        document.addEventListener('pointerup', () => {
+            cancelLongPress();
+            this.pressedHeart = null;
+            // Runs after the click that ends this press, which may not come at all on touch
+            if (this.longPressed) setTimeout(() => { this.longPressed = null; });
+        }, true);
+        document.addEventListener('contextmenu', (e) => {
+            const heart = e.target.closest(heartSelector);
+            if (!heart) return;
+
+            e.preventDefault();
+            cancelLongPress();
+            if (this.longPressed === heart) return;
+            // A touch long press fires contextmenu while the finger is still down;
+            // the click that may follow must not toggle the favorite
+            if (this.pressedHeart === heart) this.longPressed = heart;
+            this.openListPicker(heart.dataset.productId, heart);
+        });
+
         // Handle dynamically added elements
         const observer = new MutationObserver((mutations) => {
             for (const mutation of mutations) {
@@ -216,6 +390,41 @@ class FavoritesHandler {
             }
         });
         observer.observe(document.body, { childList: true, subtree: true });
+
+        // Products whose page returned 404 to the card loader were deleted or unpublished
+        window.addEventListener('productCards:missing', (e) => {
+            const handles = e.detail.handles;
+            const ids = Array.from(this.favorites.values())
+                .filter(item => handles.includes(item.handle))
+                .map(item => item.id);
+            if (ids.length) this.removeFavorites(ids);
+        });
+
+        if (this.isLoggedIn) {
+            window.addEventListener('online', () => this.flushOutbox());
+        }
+
+        // Persist what was saved before consent was given
+        subscribe(PUB_SUB_EVENTS.consentChange, () => {
+            if (this.isLoggedIn) {
+                if (window.themeConsent.allows('vps')) this.flushOutbox();
+            } else {
+                this.saveFavorites();
+            }
+        });
+
+        if (this.channel) {
+            this.channel.addEventListener('message', (e) => this.applyRemoteChange(e.data));
+        } else {
+            window.addEventListener('storage', (e) => {
+                if (e.key !== this.broadcastKey || !e.newValue) return;
+                try {
+                    this.applyRemoteChange(JSON.parse(e.newValue));
+                } catch (error) {
+                    console.error('Error parsing favorites broadcast:', error);
+                }
+            });
+        }
     }
 
     /**
@@ -235,27 +444,94 @@ class FavoritesHandler {
 
     /**
      * Toggles favorite status for a product
-     * For logged-in users: syncs to metafield via app
-     * For guests: saves to localStorage
+     * Adds to the default list, or removes the product from every list
      * @param {string|number} productId - Product ID to toggle
+     * @param {HTMLElement} [anchor] - Heart button, used to record the selected variant
      */
-    toggleFavorite(productId) {
+    toggleFavorite(productId, anchor) {
         const id = parseInt(productId, 10);
-        const wasFavorite = this.favorites.has(id);
 
-        if (wasFavorite) {
-            this.favorites.delete(id);
+        if (this.favorites.has(id)) {
+            this.setProductLists(id, []);
         } else {
-            const handle = this.extractProductHandle(id);
+            this.setProductLists(id, [this.defaultListId], this.getProductSnapshot(anchor));
+            this.showFavoritesNotification(id, this.favorites.get(id)?.handle || '');
+        }
+    }
+
+    /**
+     * Whether the click on a heart ends the long press that opened the list
+     * picker, in which case the click must not toggle the favorite
+     * @param {HTMLElement} heart - Heart button
+     * @returns {boolean}
+     * @private
+     */
+    wasLongPressed(heart) {
+        const longPressed = this.longPressed === heart;
+        this.longPressed = null;
+        return longPressed;
+    }
+
+    /**
+     * Opens the list picker for a product, from a "Save to list" button or a
+     * long press on a heart. A product that is not saved yet goes into the
+     * default list right away; the picker then lets the shopper move it or
+     * create a new list. Falls back to a plain toggle when
+     * favorites-list-picker.js is missing.
+     * @param {string|number} productId - Product ID
+     * @param {HTMLElement} anchor - Button the picker is attached to
+     * @param {HTMLElement} [source=anchor] - Element with the selected variant, price and availability
+     */
+    openListPicker(productId, anchor, source = anchor) {
+        const id = parseInt(productId, 10);
+
+        if (!customElements.get('favorites-list-picker')) {
+            this.toggleFavorite(id, source);
+            return;
+        }
+
+        let picker = document.querySelector('favorites-list-picker');
+        if (!picker) {
+            picker = document.createElement('favorites-list-picker');
+            document.body.appendChild(picker);
+        }
+
+        if (!this.favorites.has(id)) {
+            this.setProductLists(id, [this.defaultListId], this.getProductSnapshot(source));
+        }
+
+        picker.open(id, anchor);
+    }
+
+    /**
+     * Sets the lists a product belongs to. An empty array removes it from favorites.
+     * For logged-in users: queues the change and syncs to metafield via app
+     * For guests: saves to localStorage
+     * @param {string|number} productId - Product ID
+     * @param {Array} listIds - List IDs
+     * @param {Object} [snapshot] - Variant, price and availability, only used when the product is new
+     */
+    setProductLists(productId, listIds, snapshot = {}) {
+        const id = parseInt(productId, 10);
+        const existing = this.favorites.get(id);
+        const lists = Array.from(new Set(listIds)).filter(listId => this.lists.has(listId));
+        const updatedAt = Date.now();
+        const handle = existing?.handle || this.extractProductHandle(id) || '';
+
+        if (lists.length) {
             if (!handle) {
                 console.warn('Could not extract handle for product ID:', id);
             }
-            this.favorites.set(id, { id, handle: handle || '' });
-            this.showFavoritesNotification(id, handle);
+            const details = existing ? this.pickDetails(existing) : { ...this.pickDetails(snapshot), addedAt: updatedAt };
+            this.favorites.set(id, { ...details, id, handle, updatedAt, lists });
+        } else if (existing) {
+            this.favorites.delete(id);
+        } else {
+            return;
         }
 
         if (this.isLoggedIn) {
-            this.syncFavoritesToServer();
+            this.queueSync(lists.length ? 'add' : 'remove', id, handle, updatedAt, lists, this.pickDetails(this.favorites.get(id)));
         } else {
             this.saveFavorites();
         }
@@ -264,6 +540,169 @@ class FavoritesHandler {
         this.notifyStateChange();
     }
 
+    /**
+     * Removes several products at once, from one list or from all of them.
+     * Listeners are notified once, not per product.
+     * @param {Array} productIds - Product IDs
+     * @param {string|null} [listId=null] - List to remove from; null removes from every list
+     * @returns {Array} The changed favorites as they were before, for restoreFavorites()
+     */
+    removeFavorites(productIds, listId = null) {
+        const { previous, outbox } = this.detachFavorites(productIds, listId);
+        if (!previous.length) return previous;
+
+        this.commitBatch(outbox);
+        return previous;
+    }
+
+    /**
+     * Takes products out of one list or all of them, without saving or notifying
+     * @param {Array} productIds - Product IDs
+     * @param {string|null} listId - List to remove from; null removes from every list
+     * @returns {{previous: Array, outbox: Array}} Favorites as they were before, and their outbox operations
+     * @private
+     */
+    detachFavorites(productIds, listId) {
+        const updatedAt = Date.now();
+        const previous = [];
+        const outbox = [];
+
+        productIds.forEach(productId => {
+            const id = parseInt(productId, 10);
+            const existing = this.favorites.get(id);
+            if (!existing) return;
+
+            const lists = listId ? existing.lists.filter(item => item !== listId) : [];
+            if (lists.length) {
+                this.favorites.set(id, { ...existing, updatedAt, lists });
+            } else {
+                this.favorites.delete(id);
+            }
+
+            outbox.push({ op: lists.length ? 'add' : 'remove', id, handle: existing.handle, lists, details: this.pickDetails(existing), ts: updatedAt });
+            previous.push(existing);
+        });
+
+        return { previous, outbox };
+    }
+
+    /**
+     * Saves a batch of changes and notifies listeners once: one outbox write and
+     * sync for logged-in users, one localStorage write for guests
+     * @param {Array} outbox - Outbox operations for the batch
+     * @private
+     */
+    commitBatch(outbox) {
+        if (this.isLoggedIn) {
+            this.queueOutbox(outbox);
+        } else {
+            this.saveFavorites();
+        }
+
+        this.updateButtons();
+        this.notifyStateChange();
+    }
+
+    /**
+     * Puts favorites back as returned by removeFavorites() (Undo).
+     * Lists deleted in the meantime are skipped.
+     * @param {Array} entries - Favorites as they were before the removal
+     */
+    restoreFavorites(entries) {
+        const updatedAt = Date.now();
+        const outbox = [];
+
+        entries.forEach(entry => {
+            const lists = (entry.lists || [this.defaultListId]).filter(listId => this.lists.has(listId));
+            if (!lists.length) return;
+
+            const restored = { ...entry, updatedAt, lists };
+            this.favorites.set(entry.id, restored);
+            outbox.push({ op: 'add', id: entry.id, handle: entry.handle, lists, details: this.pickDetails(restored), ts: updatedAt });
+        });
+
+        if (!outbox.length) return;
+
+        this.commitBatch(outbox);
+    }
+
+    /**
+     * Lists in display order (default first, then by creation) with item counts
+     * @returns {Array} [{id, name, count}, ...]
+     */
+    getLists() {
+        return Array.from(this.lists.values()).map(list => ({
+            id: list.id,
+            name: list.name,
+            count: this.getListItems(list.id).length
+        }));
+    }
+
+    /**
+     * @param {string} listId - List ID
+     * @returns {Array} Favorites in the list, [{id, handle, updatedAt, lists}, ...]
+     */
+    getListItems(listId) {
+        return Array.from(this.favorites.values()).filter(fav => (fav.lists || [this.defaultListId]).includes(listId));
+    }
+
+    /**
+     * Creates a named list. Returns the existing list when one with the same
+     * name (case-insensitive) is already there.
+     * @param {string} name - List name
+     * @returns {Object|null} {id, name, updatedAt}, or null for an empty name
+     */
+    createList(name) {
+        const trimmed = String(name || '').trim().slice(0, 40);
+        if (!trimmed) return null;
+
+        const existing = this.findListByName(trimmed);
+        if (existing) return existing;
+
+        const list = {
+            id: `list-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            name: trimmed,
+            updatedAt: Date.now()
+        };
+        this.lists.set(list.id, list);
+
+        if (this.isLoggedIn) {
+            this.queueListSync(list);
+        } else {
+            this.saveFavorites();
+        }
+
+        this.notifyStateChange();
+        return list;
+    }
+
+    /**
+     * Deletes a custom list. Products that were only in that list are removed
+     * from favorites; the default list cannot be deleted.
+     * The list and its products change in one batch, so listeners are notified once.
+     * @param {string} listId - List ID
+     */
+    deleteList(listId) {
+        const list = this.lists.get(listId);
+        if (!list || listId === this.defaultListId) return;
+
+        this.lists.delete(listId);
+        const { outbox } = this.detachFavorites(this.getListItems(listId).map(fav => fav.id), listId);
+
+        // The list deletion goes first, so the item changes are replayed after it
+        this.commitBatch([this.getListOperation(list, true), ...outbox]);
+    }
+
+    /**
+     * @param {string} name - List name
+     * @returns {Object|undefined} Matching list
+     * @private
+     */
+    findListByName(name) {
+        const needle = name.trim().toLowerCase();
+        return Array.from(this.lists.values()).find(list => list.name.toLowerCase() === needle);
+    }
+
     /**
      * Extracts product handle from DOM or Shopify object
      * @param {number} productId - Product ID
@@ -313,42 +752,287 @@ class FavoritesHandler {
     }
 
     /**
-     * Sync favorites to server/metafield (for logged-in users)
-     * Sends: {customerId, favorites: [{id, handle}, ...]}
+     * Records a change in the offline outbox, then tries to deliver it.
+     * Only the latest operation per product is kept.
+     * @param {'add'|'remove'} op - Operation type
+     * @param {number} id - Product ID
+     * @param {string} handle - Product handle
+     * @param {number} ts - Time of the change (ms)
+     * @param {Array} [lists] - List IDs the product belongs to after an 'add'
+     * @param {Object} [details] - Variant, price, availability and addedAt after an 'add'
      * @private
      */
-    async syncFavoritesToServer() {
-        if (!this.isLoggedIn || !window.Shopify?.customerId) {
-            return;
+    queueSync(op, id, handle, ts, lists, details) {
+        this.queueOutbox([{ op, id, handle, lists, details, ts }]);
+    }
+
+    /**
+     * Records a list creation or deletion in the offline outbox.
+     * Only the latest operation per list is kept.
+     * @param {Object} list - {id, name}
+     * @param {boolean} [deleted=false] - True when the list was deleted
+     * @private
+     */
+    queueListSync(list, deleted = false) {
+        this.queueOutbox([this.getListOperation(list, deleted)]);
+    }
+
+    /**
+     * @param {Object} list - {id, name}
+     * @param {boolean} deleted - True when the list was deleted
+     * @returns {Object} Outbox operation for a list
+     * @private
+     */
+    getListOperation(list, deleted) {
+        return { op: 'list', listId: list.id, name: list.name, deleted, ts: Date.now() };
+    }
+
+    /**
+     * Records operations in the offline outbox with one write, then tries to
+     * deliver them. Only the latest operation per product and per list is kept.
+     * @param {Array} operations - Outbox operations, in order
+     * @private
+     */
+    queueOutbox(operations) {
+        if (!this.isLoggedIn) return;
+
+        const isSameTarget = (a, b) => (a.op === 'list' || b.op === 'list')
+            ? a.op === b.op && a.listId === b.listId
+            : a.id === b.id;
+        const outbox = this.readOutbox().filter(entry => !operations.some(operation => isSameTarget(entry, operation)));
+        outbox.push(...operations);
+        this.writeOutbox(outbox);
+        this.flushOutbox();
+    }
+
+    /**
+     * Reads pending operations from localStorage
+     * Format: [{op: 'add'|'remove', id, handle, lists, details, ts} | {op: 'list', listId, name, deleted, ts}, ...]
+     * @returns {Array} Pending operations
+     * @private
+     */
+    readOutbox() {
+        if (!this.outboxKey) return [];
+
+        try {
+            const parsed = JSON.parse(localStorage.getItem(this.outboxKey) || '[]');
+            return Array.isArray(parsed) ? parsed.filter(entry => entry && (entry.id || entry.listId) && entry.ts) : [];
+        } catch (e) {
+            console.error('Error reading favorites outbox:', e);
+            return [];
         }
+    }
+
+    /**
+     * @param {Array} outbox - Pending operations
+     * @private
+     */
+    writeOutbox(outbox) {
+        if (!this.outboxKey) return;
 
         try {
-            const favoritesArray = Array.from(this.favorites.values());
-            console.log('Syncing favorites to server:', favoritesArray.length, 'items');
-
-            const response = await fetch('http://31.97.184.19:3000/api/sync-favorites', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'x-api-key': 'Gheorghe2025VeV'
-                },
-                body: JSON.stringify({
-                    customerId: window.Shopify.customerId,
-                    favorites: favoritesArray
-                })
+            if (outbox.length) {
+                localStorage.setItem(this.outboxKey, JSON.stringify(outbox));
+            } else {
+                localStorage.removeItem(this.outboxKey);
+            }
+        } catch (e) {
+            console.warn('localStorage is not available:', e);
+        }
+    }
+
+    /**
+     * Applies pending operations on top of a favorites map and the known
+     * lists (local view only)
+     * @param {Map} favorites - Favorites to update
+     * @param {Array} outbox - Pending operations
+     * @returns {Map} Updated favorites
+     * @private
+     */
+    applyOutbox(favorites, outbox) {
+        outbox
+            .slice()
+            .sort((a, b) => a.ts - b.ts)
+            .forEach(entry => {
+                if (entry.op === 'list') {
+                    if (entry.deleted) {
+                        this.lists.delete(entry.listId);
+                    } else {
+                        this.lists.set(entry.listId, { id: entry.listId, name: entry.name, updatedAt: entry.ts });
+                    }
+                } else if (entry.op === 'remove') {
+                    favorites.delete(entry.id);
+                } else if ((favorites.get(entry.id)?.updatedAt || 0) <= entry.ts) {
+                    favorites.set(entry.id, {
+                        ...this.pickDetails(favorites.get(entry.id)),
+                        ...this.pickDetails(entry.details),
+                        id: entry.id,
+                        handle: entry.handle || favorites.get(entry.id)?.handle || '',
+                        updatedAt: entry.ts,
+                        lists: this.normalizeItemLists(entry.lists)
+                    });
+                }
             });
+        return favorites;
+    }
 
-            if (response.ok) {
-                console.log('Favorites synced successfully to metafield');
-            } else {
-                const text = await response.text();
-                console.error('Failed to sync favorites:', text);
+    /**
+     * Sends pending operations to the server (for logged-in users).
+     * Fetches the current server list first and merges by timestamp, so a
+     * stale device cannot undo changes made elsewhere. On failure the outbox
+     * is kept and replayed on the next 'online' event or page load.
+     * Sends: {favorites: [{id, handle, updatedAt, lists}, ...], removed: [{id, removedAt}, ...], lists: [...]}
+     * through the app proxy, which identifies the customer from the signed request
+     * @private
+     */
+    async flushOutbox() {
+        if (!this.isLoggedIn || !window.vpsClient) {
+            return;
+        }
+
+        if (this.isFlushing) {
+            this.flushQueued = true;
+            return;
+        }
+
+        const pending = this.readOutbox();
+        if (!pending.length || navigator.onLine === false) {
+            return;
+        }
+
+        this.isFlushing = true;
+
+        try {
+            const server = await window.vpsClient.get('/favorites');
+            const merged = this.mergeWithServer(server, pending);
+
+            // Full-list replace is idempotent, so transient failures are safe to retry
+            await window.vpsClient.post('/sync-favorites', merged, { retries: 2 });
+            console.log('Favorites synced successfully to metafield');
+
+            // Operations queued while this request was in flight stay in the outbox
+            const entryKey = entry => `${entry.op === 'list' ? entry.listId : entry.id}:${entry.ts}`;
+            const sent = new Set(pending.map(entryKey));
+            const remaining = this.readOutbox().filter(entry => !sent.has(entryKey(entry)));
+            this.writeOutbox(remaining);
+
+            const previousState = this.getStateSignature();
+            const synced = this.parseFavoritesData({ saved: merged.favorites, lists: merged.lists });
+            this.favorites = this.applyOutbox(synced, remaining);
+
+            if (this.getStateSignature() !== previousState) {
+                this.updateButtons();
+                this.notifyStateChange();
             }
         } catch (error) {
-            console.error('Error syncing favorites to server:', error);
+            console.warn('Favorites sync failed, changes queued for retry:', error);
+        } finally {
+            this.isFlushing = false;
+            if (this.flushQueued) {
+                this.flushQueued = false;
+                this.flushOutbox();
+            }
         }
     }
 
+    /**
+     * Merges pending operations into the server list using per-item timestamps.
+     * An operation only wins over server state that is older than it:
+     * - add is skipped if the product was removed later on another device
+     * - remove is skipped if the product was re-added later on another device
+     * Removals are kept as tombstones so other devices can see them.
+     * Lists follow the same rule; a deleted list keeps its entry with deletedAt.
+     * @param {Object} server - Server response {saved: [...], removed: [...], lists: [...]}
+     * @param {Array} outbox - Pending operations
+     * @returns {Object} {favorites: [...], removed: [...], lists: [...]}
+     * @private
+     */
+    mergeWithServer(server, outbox) {
+        const items = new Map();
+        const removed = new Map();
+        const lists = new Map();
+
+        (server?.lists || []).forEach(list => {
+            if (list && list.id) lists.set(String(list.id), list);
+        });
+
+        (server?.removed || []).forEach(entry => {
+            const id = parseInt(entry?.id, 10);
+            if (id) removed.set(id, entry.removedAt || 0);
+        });
+
+        (server?.saved || []).forEach(item => {
+            const id = parseInt(item?.id, 10);
+            const updatedAt = item?.updatedAt || 0;
+            if (!id || (removed.get(id) || 0) > updatedAt) return;
+            items.set(id, {
+                ...this.pickDetails(item),
+                id,
+                handle: item.handle || '',
+                updatedAt,
+                lists: item.lists || [this.defaultListId]
+            });
+            removed.delete(id);
+        });
+
+        outbox
+            .slice()
+            .sort((a, b) => a.ts - b.ts)
+            .forEach(entry => {
+                if (entry.op === 'list') {
+                    const current = lists.get(entry.listId);
+                    if (current && Math.max(current.updatedAt || 0, current.deletedAt || 0) > entry.ts) return;
+                    lists.set(entry.listId, entry.deleted ?
+                        { id: entry.listId, name: entry.name, updatedAt: entry.ts, deletedAt: entry.ts } :
+                        { id: entry.listId, name: entry.name, updatedAt: entry.ts });
+                    return;
+                }
+
+                const existing = items.get(entry.id);
+
+                if (entry.op === 'add') {
+                    if ((removed.get(entry.id) || 0) > entry.ts) return;
+                    if (existing && existing.updatedAt >= entry.ts) return;
+                    items.set(entry.id, {
+                        ...this.pickDetails(existing),
+                        ...this.pickDetails(entry.details),
+                        id: entry.id,
+                        handle: entry.handle || existing?.handle || '',
+                        updatedAt: entry.ts,
+                        lists: entry.lists || existing?.lists || [this.defaultListId]
+                    });
+                    removed.delete(entry.id);
+                } else {
+                    if (existing && existing.updatedAt > entry.ts) return;
+                    items.delete(entry.id);
+                    removed.set(entry.id, Math.max(entry.ts, removed.get(entry.id) || 0));
+                }
+            });
+
+        const cutoff = Date.now() - this.tombstoneTtl;
+
+        return {
+            favorites: Array.from(items.values()),
+            removed: Array.from(removed, ([id, removedAt]) => ({ id, removedAt }))
+                .filter(entry => entry.removedAt > cutoff),
+            lists: Array.from(lists.values())
+                .filter(list => !list.deletedAt || list.deletedAt > cutoff)
+        };
+    }
+
+    /**
+     * Compact description of the current favorites and lists, used to tell
+     * whether a sync changed anything visible
+     * @returns {string}
+     * @private
+     */
+    getStateSignature() {
+        return JSON.stringify([
+            Array.from(this.favorites.values()).map(fav => [fav.id, fav.lists]).sort((a, b) => a[0] - b[0]),
+            Array.from(this.lists.values()).map(list => [list.id, list.name])
+        ]);
+    }
+
     /**
      * Updates the favorites count bubble in the header
      * @private
@@ -375,39 +1059,125 @@ class FavoritesHandler {
     }
 
     /**
-     * Notifies listeners of favorites state changes
+     * Writes the current favorites and lists to the theme store's favorites slice
+     * @private
+     */
+    publishState() {
+        window.themeStore?.setState('favorites', {
+            ready: true,
+            items: Array.from(this.favorites.values()),
+            lists: this.getLists()
+        });
+    }
+
+    /**
+     * Notifies listeners of favorites state changes and, for local changes,
+     * other open tabs
+     * @param {boolean} [remote=false] - True when the change came from another tab
      * @private
      */
-    notifyStateChange() {
+    notifyStateChange(remote = false) {
+        this.publishState();
         window.dispatchEvent(new CustomEvent('favorites:changed', {
             detail: {
                 favorites: Array.from(this.favorites.keys()),
-                count: this.favorites.size
+                count: this.favorites.size,
+                lists: this.getLists(),
+                remote
             }
         }));
+
+        if (!remote) {
+            this.broadcastChange();
+        }
+    }
+
+    /**
+     * Sends the current favorites and lists to other tabs
+     * Message format: {customerId, favorites: [{id, handle, updatedAt, lists}, ...], lists: [{id, name, updatedAt}, ...]}
+     * @private
+     */
+    broadcastChange() {
+        const message = {
+            customerId: window.Shopify?.customerId || null,
+            favorites: Array.from(this.favorites.values()),
+            lists: this.serializeLists()
+        };
+
+        try {
+            if (this.channel) {
+                this.channel.postMessage(message);
+            } else if (window.themeConsent.allows('guestFavorites')) {
+                // Timestamp makes every write a change, so 'storage' always fires
+                localStorage.setItem(this.broadcastKey, JSON.stringify({ ...message, ts: Date.now() }));
+            }
+        } catch (e) {
+            console.warn('Could not broadcast favorites change:', e);
+        }
+    }
+
+    /**
+     * Applies a favorites list received from another tab
+     * Ignored when the other tab belongs to a different customer (or a guest)
+     * @param {Object} message - Broadcast message
+     * @private
+     */
+    applyRemoteChange(message) {
+        if (!message || !Array.isArray(message.favorites)) return;
+        if ((message.customerId || null) !== (window.Shopify?.customerId || null)) return;
+
+        this.favorites = this.parseFavoritesData({ saved: message.favorites, lists: message.lists });
+        this.updateButtons();
+        this.notifyStateChange(true);
     }
 
     /**
      * Migrates guest favorites to user favorites after login
-     * Reads from localStorage format: {saved: [{id, handle}, ...]}
-     * Sends to app: {customerId, favorites: [{id, handle}, ...]}
+     * Reads from localStorage format: {saved: [{id, handle, lists}, ...], lists: [{id, name}, ...]}
+     * Guest lists are matched to account lists by name or created; each guest
+     * favorite is queued as an 'add' operation, so it merges with the account
+     * favorites instead of replacing them
+     * @param {Object} guestData - Parsed guestFavorites value
      * @private
      */
-    async migrateGuestFavorites(guestFavorites) {
+    migrateGuestFavorites(guestData) {
+        const guestFavorites = guestData?.saved;
         if (!Array.isArray(guestFavorites) || !guestFavorites.length) {
             return;
         }
 
-        const customerId = window.Shopify?.customerId;
-        if (!customerId) {
+        if (!window.Shopify?.customerId) {
             return;
         }
 
+        const now = Date.now();
+        const outbox = this.readOutbox();
+
+        // Guest list ID -> account list ID
+        const listIds = new Map([[this.defaultListId, this.defaultListId]]);
+        (Array.isArray(guestData.lists) ? guestData.lists : []).forEach(list => {
+            if (!list || !list.id || !String(list.name || '').trim() || list.id === this.defaultListId) return;
+
+            const existing = this.findListByName(String(list.name));
+            if (existing) {
+                listIds.set(list.id, existing.id);
+                return;
+            }
+
+            const created = { id: String(list.id), name: String(list.name).trim(), updatedAt: list.updatedAt || now };
+            this.lists.set(created.id, created);
+            listIds.set(list.id, created.id);
+            outbox.push({ op: 'list', listId: created.id, name: created.name, deleted: false, ts: created.updatedAt });
+        });
+
         const favoritesToSync = guestFavorites
             .filter(obj => obj && obj.id)
             .map(obj => ({
                 id: typeof obj.id === 'number' ? obj.id : parseInt(obj.id, 10),
-                handle: obj.handle || ''
+                handle: obj.handle || '',
+                updatedAt: obj.updatedAt || now,
+                lists: this.normalizeItemLists((obj.lists || []).map(listId => listIds.get(listId))),
+                details: this.pickDetails(obj)
             }))
             .filter(fav => fav.id && !isNaN(fav.id));
 
@@ -415,33 +1185,26 @@ class FavoritesHandler {
             return;
         }
 
-        try {
-            console.log('Migrating guest favorites to metafield:', favoritesToSync.length, 'items');
-            const response = await fetch('http://31.97.184.19:3000/api/sync-favorites', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'x-api-key': 'Gheorghe2025VeV'
-                },
-                body: JSON.stringify({
-                    customerId: customerId,
-                    favorites: favoritesToSync
-                })
-            });
+        console.log('Migrating guest favorites to metafield:', favoritesToSync.length, 'items');
 
-            if (response.ok) {
-                console.log('Guest favorites migrated successfully to metafield');
-                localStorage.removeItem('guestFavorites');
-                // Reload favorites from metafield after migration
-                this.favorites = await this.loadFavorites();
-                this.updateButtons();
-            } else {
-                const text = await response.text();
-                console.error('Failed to migrate favorites:', text);
-            }
-        } catch (error) {
-            console.error('Error migrating guest favorites:', error);
-        }
+        const queuedIds = new Set(favoritesToSync.map(fav => fav.id));
+        const pending = outbox.filter(entry => entry.op === 'list' || !queuedIds.has(entry.id));
+        favoritesToSync.forEach(fav => {
+            // A product saved both as guest and on the account keeps the lists of both
+            const account = this.favorites.get(fav.id);
+            const lists = account ? Array.from(new Set([...account.lists, ...fav.lists])) : fav.lists;
+            const details = { ...fav.details, ...this.pickDetails(account) };
+            pending.push({ op: 'add', id: fav.id, handle: fav.handle, lists, details, ts: account ? now : fav.updatedAt });
+        });
+
+        // The outbox now owns these changes, so the guest copy can go
+        this.writeOutbox(pending);
+        localStorage.removeItem('guestFavorites');
+
+        this.favorites = this.applyOutbox(this.favorites, pending);
+        this.updateButtons();
+        this.notifyStateChange();
+        this.flushOutbox();
     }
 
     /**
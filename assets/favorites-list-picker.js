@@ -0,0 +1,236 @@
+/**
+ * Favorites List Picker
+ * Small popover opened from a "Save to list" button or a long press on a heart
+ * to choose which named lists ("Birthday", "Gift ideas", ...) a product is saved
+ * in, or to create a new list. A plain click on a heart still toggles the favorite.
+ * Dependencies: favorites-handler.js (window.favoritesHandler)
+ */
+class FavoritesListPicker extends HTMLElement {
+    constructor() {
+        super();
+        this.productId = null;
+        this.anchor = null;
+        this.strings = window.theme?.strings?.favoriteLists || {};
+
+        this.onDocumentClick = this.onDocumentClick.bind(this);
+        this.onKeyUp = this.onKeyUp.bind(this);
+        this.onReposition = () => this.position();
+        this.onFavoritesChanged = () => {
+            if (!this.hidden) this.render();
+        };
+    }
+
+    connectedCallback() {
+        this.classList.add('favorites-list-picker');
+        this.setAttribute('role', 'dialog');
+        this.setAttribute('aria-label', this.strings.title || 'Save to list');
+        this.hidden = true;
+
+        this.addEventListener('change', this.onChange.bind(this));
+        this.addEventListener('submit', this.onSubmit.bind(this));
+        this.addEventListener('click', (e) => {
+            if (e.target.closest('.favorites-list-picker__close')) this.close();
+        });
+        window.addEventListener('favorites:changed', this.onFavoritesChanged);
+    }
+
+    disconnectedCallback() {
+        window.removeEventListener('favorites:changed', this.onFavoritesChanged);
+        this.removeOpenListeners();
+    }
+
+    get handler() {
+        return window.favoritesHandler;
+    }
+
+    /**
+     * @param {number} productId - Product ID
+     * @param {HTMLElement} anchor - Button the picker belongs to
+     */
+    open(productId, anchor) {
+        if (this.anchor && this.anchor !== anchor) {
+            this.anchor.setAttribute('aria-expanded', 'false');
+        }
+
+        this.productId = productId;
+        this.anchor = anchor;
+        this.render();
+        this.hidden = false;
+        this.position();
+
+        anchor.setAttribute('aria-haspopup', 'dialog');
+        anchor.setAttribute('aria-expanded', 'true');
+
+        // Added during the opening click, so that click does not reach them
+        document.addEventListener('click', this.onDocumentClick);
+        document.addEventListener('keyup', this.onKeyUp);
+        window.addEventListener('resize', this.onReposition);
+        window.addEventListener('scroll', this.onReposition, { passive: true });
+
+        this.querySelector('input')?.focus();
+    }
+
+    close() {
+        if (this.hidden) return;
+
+        this.hidden = true;
+        this.removeOpenListeners();
+
+        if (this.anchor) {
+            this.anchor.setAttribute('aria-expanded', 'false');
+            if (this.anchor.isConnected) this.anchor.focus();
+        }
+        this.productId = null;
+        this.anchor = null;
+    }
+
+    /**
+     * @private
+     */
+    removeOpenListeners() {
+        document.removeEventListener('click', this.onDocumentClick);
+        document.removeEventListener('keyup', this.onKeyUp);
+        window.removeEventListener('resize', this.onReposition);
+        window.removeEventListener('scroll', this.onReposition);
+    }
+
+    /**
+     * @private
+     */
+    onDocumentClick(e) {
+        if (this.contains(e.target) || this.anchor?.contains(e.target)) return;
+        this.close();
+    }
+
+    /**
+     * @private
+     */
+    onKeyUp(e) {
+        if (e.code === 'Escape') this.close();
+    }
+
+    /**
+     * Checkbox toggled: save the product in exactly the checked lists
+     * @private
+     */
+    onChange(e) {
+        if (!e.target.matches('input[type="checkbox"]') || !this.handler) return;
+
+        const checked = Array.from(this.querySelectorAll('input[type="checkbox"]:checked')).map(input => input.value);
+        this.handler.setProductLists(this.productId, checked);
+    }
+
+    /**
+     * New list form: create the list and add the product to it
+     * @private
+     */
+    onSubmit(e) {
+        e.preventDefault();
+        if (!this.handler) return;
+
+        const input = e.target.querySelector('input[name="list_name"]');
+        const list = this.handler.createList(input.value);
+        if (!list) {
+            input.focus();
+            return;
+        }
+
+        const current = this.handler.favorites.get(this.productId)?.lists || [];
+        this.handler.setProductLists(this.productId, [...current, list.id]);
+        this.querySelector(`input[value="${list.id}"]`)?.focus();
+    }
+
+    /**
+     * Renders the lists with the current product's membership.
+     * List names are shopper input, so they are set as text, never as HTML.
+     * @private
+     */
+    render() {
+        if (!this.handler) return;
+
+        const current = this.handler.favorites.get(this.productId)?.lists || [];
+        const focusedValue = document.activeElement?.closest('favorites-list-picker') === this ?
+            document.activeElement.value : null;
+
+        this.innerHTML = `
+            <button type="button" class="favorites-list-picker__close" aria-label="${this.escapeAttribute(this.strings.close || 'Close')}">
+                <span aria-hidden="true">&times;</span>
+            </button>
+            <p class="favorites-list-picker__title h5">${this.escapeAttribute(this.strings.title || 'Save to list')}</p>
+            <ul class="favorites-list-picker__lists list-unstyled" role="list"></ul>
+            <form class="favorites-list-picker__create">
+                <input
+                    class="favorites-list-picker__input"
+                    type="text"
+                    name="list_name"
+                    maxlength="40"
+                    autocomplete="off"
+                    placeholder="${this.escapeAttribute(this.strings.newListPlaceholder || 'New list name')}"
+                    aria-label="${this.escapeAttribute(this.strings.newListPlaceholder || 'New list name')}"
+                >
+                <button type="submit" class="button button--secondary favorites-list-picker__submit">
+                    ${this.escapeAttribute(this.strings.create || 'Create')}
+                </button>
+            </form>
+        `;
+
+        const listElement = this.querySelector('.favorites-list-picker__lists');
+        this.handler.getLists().forEach(list => {
+            const item = document.createElement('li');
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            const name = document.createElement('span');
+
+            label.className = 'favorites-list-picker__option';
+            checkbox.type = 'checkbox';
+            checkbox.value = list.id;
+            checkbox.checked = current.includes(list.id);
+            name.textContent = list.name;
+
+            label.append(checkbox, name);
+            item.appendChild(label);
+            listElement.appendChild(item);
+        });
+
+        if (focusedValue) {
+            this.querySelector(`input[value="${focusedValue}"]`)?.focus();
+        }
+    }
+
+    /**
+     * Places the picker below the anchor, kept inside the viewport
+     * @private
+     */
+    position() {
+        if (this.hidden || !this.anchor) return;
+
+        const rect = this.anchor.getBoundingClientRect();
+        const margin = 8;
+        const width = this.offsetWidth;
+        const height = this.offsetHeight;
+
+        let top = rect.bottom + margin;
+        if (top + height > window.innerHeight && rect.top - height - margin > 0) {
+            top = rect.top - height - margin;
+        }
+        const left = Math.min(Math.max(margin, rect.right - width), window.innerWidth - width - margin);
+
+        this.style.top = `${Math.max(margin, top)}px`;
+        this.style.left = `${Math.max(margin, left)}px`;
+    }
+
+    /**
+     * @private
+     */
+    escapeAttribute(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/"/g, '&quot;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+}
+
+if (!customElements.get('favorites-list-picker')) {
+    customElements.define('favorites-list-picker', FavoritesListPicker);
+}
@@ -1,13 +1,34 @@
 /**
  * Favorites Page Component
- * Handles displaying favorite products from localStorage (guests) or customer metafields (logged-in users)
- * Expected format: {saved: [{id, handle}, ...]}
+ * Displays favorite products from the favorites slice of theme-store.js,
+ * written by favorites-handler.js for guests and logged-in customers
+ * Shows one tab per named list once favorites-handler.js has loaded, and
+ * "Price dropped" / "Back in stock" badges for entries saved with a price snapshot
+ *
+ * Share links open the same page in read-only mode:
+ * ?shared=handle-a,handle-b&name=Birthday  handles in the URL (guests, or when no token is available)
+ * ?share=TOKEN                              list resolved by the VPS app (logged-in customers)
+ *
+ * Cards are rendered in batches by product-card-loader.js; products that cannot
+ * be rendered are hidden, and removed from the list once their page returns 404
  */
 class FavoritesPage extends HTMLElement {
     constructor() {
       super();
       this.initialized = false;
       this.isLoggedIn = !!(window.Shopify && window.Shopify.customerId);
+      this.activeList = 'default';
+      this.strings = window.theme?.strings?.favoriteLists || {};
+      this.shareTokens = {}; // listId -> token issued by the VPS app
+      this.productVariants = new Map(); // handle -> [{id, price, available}, ...]
+      this.renderedEntries = [];
+      this.sortOrder = 'date-desc';
+
+      const params = new URLSearchParams(window.location.search);
+      this.sharedToken = params.get('share');
+      this.sharedHandles = params.get('shared');
+      this.sharedName = params.get('name') || '';
+      this.isShared = !!(this.sharedToken || this.sharedHandles);
     }
 
     connectedCallback() {
@@ -21,6 +42,10 @@ class FavoritesPage extends HTMLElement {
       this.sectionId = this.grid.dataset.sectionId;
       this.enableSlider = this.grid.dataset.enableSlider === 'true';
       this.emptyTemplate = document.getElementById('favorites-empty-template');
+      this.tabs = this.querySelector('[data-favorites-tabs]');
+      this.shareContainer = this.querySelector('[data-favorites-share]');
+      this.sharedContainer = this.querySelector('[data-favorites-shared]');
+      this.sortContainer = this.querySelector('[data-favorites-sort]');
       
       this.settings = {
         showVendor: this.grid.dataset.showVendor === 'true',
@@ -34,10 +59,34 @@ class FavoritesPage extends HTMLElement {
       if (!this.initialized) {
         this.initialized = true;
         this.loadFavorites();
+
+        // A shared list does not follow the visitor's own favorites
+        if (this.isShared) {
+          this.sharedContainer?.querySelector('[data-add-all]')?.addEventListener('click', this.addAllToCart.bind(this));
+          return;
+        }
         
-        window.addEventListener('favorites:changed', () => {
+        // This element can upgrade before the handler has loaded; the first
+        // store update (favorites ready) renders the page
+        window.themeStore.subscribe('favorites', () => {
           this.loadFavorites();
         });
+
+        if (this.tabs) {
+          this.tabs.addEventListener('click', this.onTabsClick.bind(this));
+        }
+
+        if (this.shareContainer) {
+          // Capture phase, so the token is in place before share-button reads its URL
+          this.shareContainer.addEventListener('click', this.onShareClick.bind(this), true);
+        }
+
+        if (this.sortContainer) {
+          this.sortContainer.querySelector('select').addEventListener('change', (event) => {
+            this.sortOrder = event.target.value;
+            this.renderEntries(this.renderedEntries);
+          });
+        }
       }
     }
 
@@ -50,7 +99,17 @@ class FavoritesPage extends HTMLElement {
         return;
       }
 
-      const favorites = this.getFavorites();
+      if (this.isShared) {
+        await this.loadSharedFavorites();
+        return;
+      }
+
+      if (!window.themeStore.select(ThemeStore.selectors.favoritesReady)) return;
+
+      this.renderTabs();
+
+      const favorites = this.getFavorites().filter(fav => this.isInActiveList(fav));
+      this.updateShareUrl(favorites);
       
       if (!favorites || favorites.length === 0) {
         this.renderEmptyState();
@@ -61,108 +120,307 @@ class FavoritesPage extends HTMLElement {
     }
 
     /**
-     * Get favorites from handler, metafield, or localStorage
-     * Expected format: {saved: [{id, handle}, ...]}
-     * @returns {Array} Array of favorite objects with {id, handle}
+     * Render a list opened from a share link (read-only)
      */
-    getFavorites() {
+    async loadSharedFavorites() {
+      let handles = [];
+      let name = this.sharedName;
+
+      if (this.sharedToken) {
+        try {
+          const data = await window.vpsClient.get('/shared-favorites', {
+            query: { token: this.sharedToken },
+            consent: null
+          });
+          handles = Array.isArray(data.handles) ? data.handles : [];
+          name = data.name || '';
+        } catch (error) {
+          console.error('Error loading shared favorites:', error);
+        }
+      } else {
+        handles = this.sharedHandles.split(',');
+      }
+
+      // Handles end up in a /products/ URL, so anything but a plain handle is dropped
+      this.sharedItems = handles
+        .map(handle => String(handle).trim())
+        .filter(handle => /^[\p{L}\p{N}\p{M}_-]+$/u.test(handle))
+        .slice(0, FavoritesPage.MAX_SHARED_ITEMS)
+        .map(handle => ({ handle }));
+
+      const title = this.querySelector('[data-shared-title]');
+      if (title) {
+        title.textContent = name || title.dataset.sharedTitle;
+      }
+
+      if (this.sharedContainer) {
+        this.sharedContainer.hidden = false;
+      }
+
+      if (!this.sharedItems.length) {
+        this.renderEmptyState();
+        return;
+      }
+
+      await this.renderProducts(this.sharedItems);
+
+      const addAllButton = this.sharedContainer?.querySelector('[data-add-all]');
+      if (addAllButton) {
+        addAllButton.disabled = !this.grid.querySelector('.card-wrapper');
+      }
+    }
+
+    /**
+     * Show the share action for the current list and keep its URL up to date.
+     * No token is requested here: the first use of the share button creates it
+     * (see onShareClick), until then the URL carries the handles.
+     * @param {Array} favorites - Favorites in the active list
+     */
+    updateShareUrl(favorites) {
+      if (!this.shareContainer) return;
+
+      this.shareContainer.hidden = favorites.length === 0;
+      if (!favorites.length) return;
+
+      const shareButton = this.shareContainer.querySelector('share-button');
+      if (shareButton && typeof shareButton.updateUrl === 'function') {
+        shareButton.updateUrl(this.getShareUrl(favorites));
+      }
+    }
+
+    /**
+     * Logged-in customers share a token, so the link follows later changes to
+     * the list. The first click on the share button is held back while the
+     * token is created, then replayed with the new URL; the native share sheet
+     * still opens, as the click's user activation outlives the request.
+     * @param {MouseEvent} event
+     */
+    async onShareClick(event) {
+      const trigger = event.target.closest('.share-button__button');
+      const listId = this.activeList;
+      if (!trigger || !this.isLoggedIn || !window.vpsClient || listId in this.shareTokens) return;
+
+      event.preventDefault();
+      event.stopPropagation();
+
       try {
-        // First, try to get from favorites handler (most up-to-date)
-        if (window.favoritesHandler && window.favoritesHandler.favorites && window.favoritesHandler.favorites.size > 0) {
-          const handlerFavorites = Array.from(window.favoritesHandler.favorites.values());
-          if (handlerFavorites.length > 0) {
-            return handlerFavorites
-              .filter(fav => fav && fav.handle)
-              .map(fav => ({
-                ...fav,
-                handle: fav.handle.includes('%') ? decodeURIComponent(fav.handle) : fav.handle
-              }));
-          }
+        const data = await window.vpsClient.post('/share-favorites', { listId }, { consent: 'account' });
+        this.shareTokens[listId] = data.token || null;
+      } catch (error) {
+        // Keep sharing handles for this list instead of asking again on every click
+        this.shareTokens[listId] = null;
+        console.warn('Could not create a favorites share token, sharing handles instead:', error);
+      }
+
+      if (listId !== this.activeList) return;
+      this.updateShareUrl(this.getFavorites().filter(fav => this.isInActiveList(fav)));
+      trigger.click();
+    }
+
+    /**
+     * Token URL once one was created for the active list, otherwise the handles
+     * (guests, before the first share, or when the app is unreachable)
+     * @param {Array} favorites - Favorites in the active list
+     * @returns {string} Share URL
+     */
+    getShareUrl(favorites) {
+      const url = new URL(window.location.pathname, window.location.origin);
+      const listId = this.activeList;
+
+      if (this.shareTokens[listId]) {
+        url.searchParams.set('share', this.shareTokens[listId]);
+        return url.toString();
+      }
+
+      url.searchParams.set('shared', favorites
+        .map(fav => fav.handle)
+        .filter(Boolean)
+        .slice(0, FavoritesPage.MAX_SHARED_ITEMS)
+        .join(','));
+
+      const list = window.favoritesHandler?.lists?.get(listId);
+      if (list && listId !== 'default') {
+        url.searchParams.set('name', list.name);
+      }
+
+      return url.toString();
+    }
+
+    /**
+     * Add the first available variant of every shared product in one
+     * /cart/add.js request (see addItemsToCart in global.js)
+     */
+    async addAllToCart(event) {
+      const button = event.currentTarget;
+      const errorElement = this.sharedContainer.querySelector('[data-add-all-error]');
+      const spinner = button.querySelector('.loading__spinner');
+
+      button.setAttribute('aria-disabled', 'true');
+      button.classList.add('loading');
+      spinner?.classList.remove('hidden');
+      errorElement.hidden = true;
+
+      try {
+        const variantIds = this.sharedItems
+          .map(item => this.getCartVariantId(item))
+          .filter(Boolean);
+
+        if (!variantIds.length) {
+          throw new Error('No available variants to add');
         }
-        
-        // For logged-in users, fall back to customer metafield
-        if (this.isLoggedIn && window.Shopify && window.Shopify.favorites) {
-          return this.getFavoritesFromMetafield();
+
+        await addItemsToCart(variantIds.map(id => ({ id, quantity: 1 })), {
+          source: 'favorites-page',
+          activeElement: button
+        });
+
+        if (variantIds.length < this.sharedItems.length) {
+          errorElement.textContent = button.dataset.errorMessage;
+          errorElement.hidden = false;
         }
-        
-        // For guests, use localStorage
-        return this.getFavoritesFromLocalStorage();
       } catch (error) {
-        console.error('Error reading favorites:', error);
-        return [];
+        console.error('Error adding shared favorites to cart:', error);
+        errorElement.textContent = button.dataset.errorMessage;
+        errorElement.hidden = false;
+      } finally {
+        button.removeAttribute('aria-disabled');
+        button.classList.remove('loading');
+        spinner?.classList.add('hidden');
       }
     }
 
     /**
-     * Get favorites from metafield
-     * Expected format: {saved: [{id, handle}, ...]}
-     * @returns {Array} Array of favorite objects
-     * @private
+     * Variant to add to the cart for a favorite: the saved variant while it is
+     * in stock, otherwise the first available one
+     * @param {Object} fav - Favorite entry
+     * @returns {number|null} Variant ID, or null when nothing is available
      */
-    getFavoritesFromMetafield() {
-      let metafieldData = window.Shopify.favorites;
-      
-      if (!metafieldData || metafieldData === 'null' || metafieldData === '') {
-        return [];
+    getCartVariantId(fav) {
+      const variants = this.productVariants.get(fav.handle) || [];
+      const variant = variants.find(item => item.id === fav.variantId && item.available) ||
+        variants.find(item => item.available);
+      return variant ? variant.id : null;
+    }
+
+    /**
+     * Remove favorites from the active list (or from all lists while no tabs are shown)
+     * Called by <favorites-bulk-actions>
+     * @param {Array} ids - Product IDs
+     * @returns {Array} Removed favorites as they were before, for Undo
+     */
+    removeFavorites(ids) {
+      if (!window.favoritesHandler || !ids.length) return [];
+      const listId = this.tabs && !this.tabs.hidden ? this.activeList : null;
+      return window.favoritesHandler.removeFavorites(ids, listId);
+    }
+
+    /**
+     * Remove everything in the active list, including products that failed to render
+     * @returns {Array} Removed favorites as they were before, for Undo
+     */
+    clearFavorites() {
+      return this.removeFavorites(this.getFavorites().filter(fav => this.isInActiveList(fav)).map(fav => fav.id));
+    }
+
+    /**
+     * Render one tab per list. Hidden while only the default list exists
+     * (all favorites are shown then).
+     */
+    renderTabs() {
+      if (!this.tabs) return;
+
+      const lists = window.themeStore.select(ThemeStore.selectors.favoriteLists);
+
+      if (lists.length < 2) {
+        this.activeList = 'default';
+        this.tabs.hidden = true;
+        this.tabs.innerHTML = '';
+        return;
       }
-      
-      if (typeof metafieldData === 'string') {
-        try {
-          metafieldData = JSON.parse(metafieldData);
-        } catch (e) {
-          console.error('Error parsing favorites metafield:', e);
-          return [];
-        }
+
+      if (!lists.some(list => list.id === this.activeList)) {
+        this.activeList = lists[0].id;
       }
-      
-      // Handle expected format: {saved: [{id, handle}, ...]}
-      if (metafieldData && typeof metafieldData === 'object' && metafieldData.saved && Array.isArray(metafieldData.saved)) {
-        return metafieldData.saved
-          .filter(fav => fav && fav.id && fav.handle)
-          .map(fav => {
-            const normalized = {
-              id: typeof fav.id === 'number' ? fav.id : parseInt(fav.id, 10),
-              handle: fav.handle || ''
-            };
-            
-            if (normalized.handle && normalized.handle.includes('%')) {
-              normalized.handle = decodeURIComponent(normalized.handle);
-            }
-            
-            return normalized;
-          })
-          .filter(fav => fav.id && fav.handle);
+
+      this.tabs.innerHTML = '';
+      lists.forEach(list => {
+        const tab = document.createElement('button');
+        const isActive = list.id === this.activeList;
+        tab.type = 'button';
+        tab.className = 'favorites-tabs__tab';
+        tab.setAttribute('role', 'tab');
+        tab.setAttribute('aria-selected', isActive ? 'true' : 'false');
+        tab.setAttribute('aria-controls', this.grid.id);
+        tab.tabIndex = isActive ? 0 : -1;
+        tab.dataset.listId = list.id;
+        // List names are shopper input, so they are set as text
+        tab.textContent = `${list.name} (${list.count})`;
+        this.tabs.appendChild(tab);
+      });
+
+      if (this.activeList !== 'default') {
+        const deleteButton = document.createElement('button');
+        deleteButton.type = 'button';
+        deleteButton.className = 'favorites-tabs__delete link';
+        deleteButton.dataset.deleteList = this.activeList;
+        deleteButton.textContent = this.strings.deleteList || 'Delete list';
+        this.tabs.appendChild(deleteButton);
       }
-      
-      return [];
+
+      this.tabs.hidden = false;
     }
 
     /**
-     * Get favorites from localStorage
-     * Expected format: {saved: [{id, handle}, ...]}
-     * @returns {Array} Array of favorite objects
-     * @private
+     * Switch tabs, or delete the active custom list
+     * @param {Event} event - Click event
      */
-    getFavoritesFromLocalStorage() {
-      try {
-        const stored = localStorage.getItem('guestFavorites');
-        if (!stored) return [];
-        
-        const parsed = JSON.parse(stored);
-        if (!parsed || !parsed.saved || !Array.isArray(parsed.saved)) {
-          return [];
+    onTabsClick(event) {
+      const handler = window.favoritesHandler;
+      const deleteButton = event.target.closest('[data-delete-list]');
+
+      if (deleteButton && handler) {
+        const list = handler.lists.get(deleteButton.dataset.deleteList);
+        const message = (this.strings.deleteConfirm || 'Delete the list "[name]"?').replace('[name]', list ? list.name : '');
+        if (list && window.confirm(message)) {
+          this.activeList = 'default';
+          handler.deleteList(list.id);
         }
-        
-        return parsed.saved
-          .filter(fav => fav && fav.id && fav.handle)
-          .map(fav => ({
-            ...fav,
-            handle: fav.handle.includes('%') ? decodeURIComponent(fav.handle) : fav.handle
-          }));
-      } catch (error) {
-        console.error('Error reading favorites from localStorage:', error);
-        return [];
+        return;
       }
+
+      const tab = event.target.closest('[data-list-id]');
+      if (!tab || tab.dataset.listId === this.activeList) return;
+
+      this.activeList = tab.dataset.listId;
+      this.loadFavorites().then(() => {
+        this.tabs.querySelector(`[data-list-id="${this.activeList}"]`)?.focus();
+      });
+    }
+
+    /**
+     * Entries without lists (legacy format) belong to the default list.
+     * Before the handler is ready no tabs are shown, so everything matches.
+     * @param {Object} fav - Favorite entry
+     * @returns {boolean}
+     */
+    isInActiveList(fav) {
+      if (!this.tabs || this.tabs.hidden) return true;
+      const lists = fav.lists && fav.lists.length ? fav.lists : ['default'];
+      return lists.includes(this.activeList);
+    }
+
+    /**
+     * Get favorites from the theme store (kept up to date by favorites-handler.js,
+     * also after changes in other tabs)
+     * @returns {Array} Array of favorite objects with {id, handle, lists, ...}
+     */
+    getFavorites() {
+      return window.themeStore.select(ThemeStore.selectors.favorites)
+        .filter(fav => fav && fav.handle)
+        .map(fav => ({
+          ...fav,
+          handle: fav.handle.includes('%') ? decodeURIComponent(fav.handle) : fav.handle
+        }));
     }
 
     /**
@@ -179,31 +437,55 @@ class FavoritesPage extends HTMLElement {
         return;
       }
       
-      let successCount = 0;
-      let slideIndex = 1;
-
       const productPromises = favoritesWithHandles.map(fav => 
         this.fetchProductCard(fav.handle)
       );
 
       const results = await Promise.allSettled(productPromises);
+      const entries = [];
 
       results.forEach((result, index) => {
         if (result.status === 'fulfilled' && result.value) {
-          const li = this.createListItem(result.value, slideIndex);
-          this.grid.appendChild(li);
-          successCount++;
-          if (this.enableSlider) slideIndex++;
+          entries.push({ fav: favoritesWithHandles[index], html: result.value });
         } else if (result.status === 'rejected') {
           console.error('Failed to fetch product:', favoritesWithHandles[index].handle, result.reason);
         }
       });
 
-      if (successCount === 0) {
+      if (entries.length === 0) {
         this.renderEmptyState();
         return;
       }
 
+      this.renderedEntries = entries;
+      if (this.sortContainer) this.sortContainer.hidden = this.isShared || entries.length < 2;
+      this.renderEntries(entries);
+    }
+
+    /**
+     * Append fetched cards in the selected order, with price badges
+     * @param {Array} entries - [{fav, html}, ...]
+     */
+    renderEntries(entries) {
+      if (!entries.length) return;
+
+      this.grid.innerHTML = '';
+      let slideIndex = 1;
+
+      // Shared lists keep the order the sharer saved them in
+      (this.isShared ? entries : this.sortEntries(entries)).forEach(({ fav, html }) => {
+        const li = this.createListItem(html, slideIndex);
+        this.decorateCard(li, fav);
+        if (fav.id && !this.isShared) {
+          li.dataset.favoriteId = fav.id;
+          li.dataset.variantId = this.getCartVariantId(fav) || '';
+        }
+        this.grid.appendChild(li);
+        if (this.enableSlider) slideIndex++;
+      });
+
+      this.refreshBulkActions();
+
       if (window.favoritesHandler) {
         window.favoritesHandler.updateButtons(this);
       }
@@ -216,47 +498,104 @@ class FavoritesPage extends HTMLElement {
     }
 
     /**
-     * Fetch product card HTML from server
-     * @param {string} handle - Product handle
-     * @returns {Promise<string|null>} Product card HTML or null
+     * Compare a favorite with the current state of the variant it was saved with.
+     * Entries without a price snapshot (saved before snapshots existed) get no badges.
+     * @param {Object} fav - Favorite entry
+     * @returns {Object|null} {variant, priceChange, backInStock} or null when unknown
      */
-    async fetchProductCard(handle) {
-      try {
-        const params = new URLSearchParams({
-          section_id: 'card-product-standalone',
-          show_vendor: this.settings.showVendor ? 'true' : 'false',
-          show_rating: this.settings.showRating ? 'true' : 'false',
-          show_secondary_image: this.settings.showSecondaryImage ? 'true' : 'false',
-          image_ratio: this.settings.imageRatio || 'square',
-          image_shape: this.settings.imageShape || 'default',
-          quick_add: this.settings.quickAdd || 'standard',
-          section_id_param: this.sectionId || ''
+    getPriceStatus(fav) {
+      const variants = this.productVariants.get(fav.handle);
+      if (!variants || !variants.length) return null;
+
+      const variant = variants.find(item => item.id === fav.variantId) ||
+        variants.find(item => item.available) ||
+        variants[0];
+
+      return {
+        variant,
+        priceChange: typeof fav.price === 'number' && variant.id === fav.variantId ? variant.price - fav.price : 0,
+        backInStock: fav.available === false && variant.available
+      };
+    }
+
+    /**
+     * @param {Array} entries - [{fav, html}, ...]
+     * @returns {Array} Sorted copy
+     */
+    sortEntries(entries) {
+      const addedAt = entry => entry.fav.addedAt || entry.fav.updatedAt || 0;
+      const priceChange = entry => this.getPriceStatus(entry.fav)?.priceChange || 0;
+      const sorted = entries.slice();
+
+      if (this.sortOrder === 'date-asc') {
+        sorted.sort((a, b) => addedAt(a) - addedAt(b));
+      } else if (this.sortOrder === 'price-change') {
+        // Biggest drop first, ties by most recently added
+        sorted.sort((a, b) => priceChange(a) - priceChange(b) || addedAt(b) - addedAt(a));
+      } else {
+        sorted.sort((a, b) => addedAt(b) - addedAt(a));
+      }
+
+      return sorted;
+    }
+
+    /**
+     * Link the card to the saved variant and add price-drop / back-in-stock badges
+     * @param {HTMLElement} li - Grid item with the card
+     * @param {Object} fav - Favorite entry
+     */
+    decorateCard(li, fav) {
+      if (fav.variantId) {
+        li.querySelectorAll('a[href*="/products/"]').forEach(link => {
+          const url = new URL(link.getAttribute('href'), window.location.origin);
+          url.searchParams.set('variant', fav.variantId);
+          link.setAttribute('href', `${url.pathname}${url.search}${url.hash}`);
         });
+      }
 
-        const response = await fetch(
-          `/products/${handle}?${params.toString()}`,
-          {
-            method: 'GET',
-            headers: {
-              'Accept': 'text/html'
-            }
-          }
-        );
-
-        if (!response.ok) {
-          return null;
-        }
+      const status = this.getPriceStatus(fav);
+      if (!status) return;
 
-        const html = await response.text();
-        const tempDiv = document.createElement('div');
-        tempDiv.innerHTML = html;
-        
-        const cardWrapper = tempDiv.querySelector('.card-wrapper');
-        return cardWrapper ? cardWrapper.outerHTML : null;
-      } catch (error) {
-        console.error(`Error fetching product ${handle}:`, error);
-        return null;
+      const badges = [];
+      if (status.priceChange < 0 && this.dataset.priceDroppedText) {
+        badges.push({
+          modifier: 'price-drop',
+          text: this.dataset.priceDroppedText.replace('[amount]', formatMoney(-status.priceChange))
+        });
+      }
+      if (status.backInStock && this.dataset.backInStockText) {
+        badges.push({ modifier: 'back-in-stock', text: this.dataset.backInStockText });
       }
+      if (!badges.length) return;
+
+      const container = document.createElement('div');
+      container.className = 'favorites-card-badges';
+      badges.forEach(badge => {
+        const span = document.createElement('span');
+        span.className = `badge favorites-badge favorites-badge--${badge.modifier}`;
+        span.textContent = badge.text;
+        container.appendChild(span);
+      });
+
+      const card = li.querySelector('.card-wrapper') || li;
+      card.prepend(container);
+    }
+
+    /**
+     * Fetch product card HTML through the shared card loader, which batches
+     * the handles of one render into a single request
+     * @param {string} handle - Product handle
+     * @returns {Promise<string|null>} Product card HTML or null
+     */
+    async fetchProductCard(handle) {
+      const card = await window.productCardLoader.get(handle, {
+        ...this.settings,
+        sectionId: this.sectionId
+      });
+      if (!card) return null;
+
+      this.productVariants.set(handle, card.variants);
+      return card.html;
     }
 
     /**
@@ -282,6 +621,11 @@ class FavoritesPage extends HTMLElement {
      * Render empty state when no favorites exist
      */
     renderEmptyState() {
+      this.renderedEntries = [];
+      if (this.sortContainer) this.sortContainer.hidden = true;
+      this.grid.innerHTML = '';
+      this.refreshBulkActions();
+
       if (!this.emptyTemplate) {
         this.grid.innerHTML = `
           <li class="grid__item grid__item--full-width">
@@ -301,6 +645,22 @@ class FavoritesPage extends HTMLElement {
       const emptyContent = this.emptyTemplate.content.cloneNode(true);
       this.grid.innerHTML = '';
       this.grid.appendChild(emptyContent);
+
+      // A custom list can be empty while other lists are not
+      if (this.activeList !== 'default' && this.strings.empty) {
+        const title = this.grid.querySelector('.title');
+        if (title) title.textContent = this.strings.empty;
+      }
+    }
+
+    /**
+     * Let <favorites-bulk-actions> pick up the rendered cards
+     */
+    refreshBulkActions() {
+      const bulkActions = this.querySelector('favorites-bulk-actions');
+      if (bulkActions && typeof bulkActions.refresh === 'function') {
+        bulkActions.refresh();
+      }
     }
 
     /**
@@ -354,13 +714,19 @@ class FavoritesPage extends HTMLElement {
     }
   }
 
+FavoritesPage.MAX_SHARED_ITEMS = 50;
+
 // Register custom element if not already registered
 if (!customElements.get('favorites-page')) {
   customElements.define('favorites-page', FavoritesPage);
 }
 
-// Initialize favorites page
+// Initialize favorites page (only for markup without a <favorites-page> wrapper)
 function initializeFavoritesPage() {
+  if (document.querySelector('favorites-page')) {
+    return;
+  }
+
   const grid = document.querySelector('[id^="Slider-"]');
   
   if (!grid || !grid.dataset.sectionId) {
@@ -384,7 +750,7 @@ function initializeFavoritesPage() {
   
   favoritesPage.loadFavorites();
   
-  window.addEventListener('favorites:changed', () => {
+  window.themeStore.subscribe('favorites', () => {
     favoritesPage.loadFavorites();
   });
 }
@@ -2,7 +2,7 @@
  Centralized Free Shipping Progress module
  - Single source of truth for computing remaining amount and progress
  - Works wherever a container with [data-free-shipping-progress] exists
- - Uses Shopify AJAX cart (/cart.js) and PUB/SUB cartUpdate events when available
+ - Reads the cart from theme-store.js, which shares /cart.js with other cart consumers
 
  Markup contract (minimal example):
  <div class="js-free-shipping" data-free-shipping-progress
@@ -30,47 +30,11 @@
 (function () {
   const GLOBAL = window || globalThis;
 
-  // Simple pub/sub integration if theme exposes subscribe/publish
-  const subscribe = GLOBAL.subscribe || function () { return function () {}; };
-  const publish = GLOBAL.publish || function () {};
-  const EVENTS = GLOBAL.PUB_SUB_EVENTS || { cartUpdate: 'cart-update' };
-
-  // Shared Cart store with debounced fetch
-  const CartStore = (function () {
-    let inflightPromise = null;
-    let lastCart = null;
-    let lastFetchTs = 0;
-    const MIN_FETCH_MS = 300; // debounce network
-
-    function fetchCart() {
-      const now = Date.now();
-      if (inflightPromise) return inflightPromise;
-      if (now - lastFetchTs < MIN_FETCH_MS && lastCart) return Promise.resolve(lastCart);
-
-      inflightPromise = fetch('/cart.js', { credentials: 'same-origin' })
-        .then((r) => r.json())
-        .then((cart) => {
-          lastFetchTs = Date.now();
-          lastCart = cart;
-          return cart;
-        })
-        .catch((e) => {
-          console.error('free-shipping: fetch /cart.js failed', e);
-          return lastCart || { total_price: 0, item_count: 0 };
-        })
-        .finally(() => {
-          inflightPromise = null;
-        });
-
-      return inflightPromise;
-    }
-
-    function getLast() {
-      return lastCart;
-    }
-
-    return { fetchCart, getLast };
-  })();
+  // Cart state is shared through theme-store.js: one /cart.js request for every consumer
+  const CartStore = {
+    fetchCart: () => GLOBAL.themeStore.fetchCart(),
+    getLast: () => GLOBAL.themeStore.select(GLOBAL.ThemeStore.selectors.cart),
+  };
 
   function getLocale() {
     return document.documentElement.lang || 'en';
@@ -330,28 +294,13 @@
 
   // Keep instances in sync with cart updates
   function attachCartListeners() {
-    // Theme-wide cartUpdate pubsub
-    try {
-      subscribe(EVENTS.cartUpdate, (payload) => {
-        // prefer provided cartData if shape matches
-        const maybeCart = payload && payload.cartData;
-        if (maybeCart && typeof maybeCart.total_price === 'number') {
-          document.querySelectorAll('[data-free-shipping-progress]').forEach((el) => {
-            const inst = instances.get(el);
-            if (inst) inst.updateFromCart(maybeCart);
-          });
-        } else {
-          CartStore.fetchCart().then((cart) => {
-            document.querySelectorAll('[data-free-shipping-progress]').forEach((el) => {
-              const inst = instances.get(el);
-              if (inst) inst.updateFromCart(cart);
-            });
-          });
-        }
+    // The store publishes complete carts, also after partial cartUpdate payloads
+    GLOBAL.themeStore.subscribe('cart', (cart) => {
+      document.querySelectorAll('[data-free-shipping-progress]').forEach((el) => {
+        const inst = instances.get(el);
+        if (inst) inst.updateFromCart(cart);
       });
-    } catch (e) {
-      // no-op
-    }
+    });
 
     // Initial fetch after DOM ready
     const start = () => CartStore.fetchCart().then((cart) => {
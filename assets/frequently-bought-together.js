@@ -0,0 +1,179 @@
+/**
+ * Frequently Bought Together
+ * Bundle builder for sections/LG-frequently-bought-together.liquid: a checkbox
+ * and variant selector per recommended product, the current product (following
+ * the variant picked on the page), a live total with the bundle discount from
+ * the section settings, and one /cart/add.js request for the whole selection.
+ *
+ * Recommendations are loaded after the page by <product-recommendations>, so
+ * the summary stays hidden until they arrive. The discount shown here is only an
+ * estimate, labelled as such; checkout applies the matching automatic discount
+ * set up in admin.
+ * Dependencies: constants.js, pubsub.js, theme-store.js, global.js (addItemsToCart, formatMoney)
+ */
+class FrequentlyBoughtTogether extends HTMLElement {
+  constructor() {
+    super();
+    this.recommendations = this.querySelector('product-recommendations');
+    this.summary = this.querySelector('[data-fbt-summary]');
+    this.current = this.querySelector('[data-fbt-current]');
+    this.totalElement = this.querySelector('[data-fbt-total]');
+    this.compareElement = this.querySelector('[data-fbt-compare]');
+    this.discountElement = this.querySelector('[data-fbt-discount]');
+    this.discountAmountElement = this.querySelector('[data-fbt-discount-amount]');
+    this.addButton = this.querySelector('[data-fbt-add]');
+    this.messageElement = this.querySelector('[data-fbt-message]');
+  }
+
+  connectedCallback() {
+    if (!this.recommendations || !this.summary) return;
+
+    this.addEventListener('change', (event) => {
+      if (event.target.matches('[data-fbt-checkbox], [data-fbt-variant], [data-fbt-current]')) this.update();
+    });
+    this.addButton.addEventListener('click', () => this.addSelectedToCart());
+
+    // <product-recommendations> replaces its content once the response arrives
+    this.observer = new MutationObserver(() => this.update());
+    this.observer.observe(this.recommendations, { childList: true });
+
+    this.unsubscribeVariantChange = subscribe(PUB_SUB_EVENTS.variantChange, (event) => this.onVariantChange(event));
+    this.update();
+  }
+
+  disconnectedCallback() {
+    this.observer?.disconnect();
+    if (this.unsubscribeVariantChange) this.unsubscribeVariantChange();
+  }
+
+  /**
+   * Follow the variant picked in the main product form
+   * @private
+   */
+  onVariantChange(event) {
+    const variant = event.data && event.data.variant;
+    const productInfo = document.querySelector('product-info[id^="MainProduct-"]');
+    // Quick-add modals on the same page publish their own changes
+    if (!variant || !productInfo || event.data.sectionId !== productInfo.dataset.section) return;
+
+    const wasDisabled = this.current.disabled;
+    this.current.dataset.variantId = variant.id;
+    this.current.dataset.price = variant.price;
+    this.current.disabled = !variant.available;
+    if (!variant.available) {
+      this.current.checked = false;
+    } else if (wasDisabled) {
+      this.current.checked = true;
+    }
+    this.update();
+  }
+
+  /**
+   * @returns {Array<{id: number, price: number}>} Selected variants with their price in cents
+   */
+  getSelectedItems() {
+    const selected = [];
+
+    if (this.current.checked && !this.current.disabled) {
+      selected.push({ id: parseInt(this.current.dataset.variantId, 10), price: parseInt(this.current.dataset.price, 10) });
+    }
+
+    this.querySelectorAll('[data-fbt-item]').forEach((item) => {
+      const checkbox = item.querySelector('[data-fbt-checkbox]');
+      const option = item.querySelector('[data-fbt-variant]')?.selectedOptions[0];
+      if (!checkbox.checked || checkbox.disabled || !option || option.disabled) return;
+
+      selected.push({ id: parseInt(option.value, 10), price: parseInt(option.dataset.price, 10) });
+    });
+
+    return selected;
+  }
+
+  /**
+   * Sync the total, discount line and button with the selection
+   * @private
+   */
+  update() {
+    const hasItems = !!this.querySelector('[data-fbt-item]');
+    this.summary.hidden = !hasItems;
+    if (!hasItems) return;
+
+    const selected = this.getSelectedItems();
+    const total = selected.reduce((sum, item) => sum + item.price, 0);
+    const discount = this.getDiscount(total, selected.length);
+
+    this.totalElement.textContent = formatMoney(total - discount);
+    this.compareElement.textContent = discount ? formatMoney(total) : '';
+    this.compareElement.hidden = !discount;
+    this.discountAmountElement.textContent = discount ? `-${formatMoney(discount)}` : '';
+    this.discountElement.hidden = !discount;
+    this.addButton.disabled = selected.length === 0;
+  }
+
+  /**
+   * @param {number} total - Selection total in cents
+   * @param {number} count - Number of selected items
+   * @returns {number} Discount in cents, 0 below the minimum item count
+   */
+  getDiscount(total, count) {
+    const value = parseFloat(this.dataset.discountValue) || 0;
+    const minItems = parseInt(this.dataset.discountMinItems, 10) || 2;
+    if (value <= 0 || count < minItems) return 0;
+
+    switch (this.dataset.discountType) {
+      case 'percentage':
+        return Math.round((total * Math.min(value, 100)) / 100);
+      case 'fixed_amount': {
+        // Configured in the store currency
+        const rate = parseFloat(window.Shopify?.currency?.rate) || 1;
+        return Math.min(Math.round(value * rate), total);
+      }
+      default:
+        return 0;
+    }
+  }
+
+  /**
+   * Add the selection in a single /cart/add.js request and refresh the cart drawer
+   * or notification with the sections rendered in the same response
+   * @private
+   */
+  async addSelectedToCart() {
+    const selected = this.getSelectedItems();
+    if (!selected.length || this.addButton.getAttribute('aria-disabled') === 'true') return;
+
+    const spinner = this.addButton.querySelector('.loading__spinner');
+
+    this.showMessage('');
+    this.addButton.setAttribute('aria-disabled', 'true');
+    this.addButton.classList.add('loading');
+    spinner?.classList.remove('hidden');
+
+    try {
+      await addItemsToCart(
+        selected.map((item) => ({ id: item.id, quantity: 1 })),
+        { source: 'frequently-bought-together', activeElement: this.addButton }
+      );
+      this.showMessage((this.dataset.addedText || '[count] added to cart').replace('[count]', selected.length));
+    } catch (error) {
+      console.error('FrequentlyBoughtTogether: Error adding to cart:', error);
+      this.showMessage(error.message || this.dataset.errorText);
+    } finally {
+      this.addButton.removeAttribute('aria-disabled');
+      this.addButton.classList.remove('loading');
+      spinner?.classList.add('hidden');
+    }
+  }
+
+  /**
+   * @private
+   */
+  showMessage(message) {
+    this.messageElement.textContent = message || '';
+    this.messageElement.hidden = !message;
+  }
+}
+
+if (!customElements.get('frequently-bought-together')) {
+  customElements.define('frequently-bought-together', FrequentlyBoughtTogether);
+}
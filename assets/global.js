@@ -306,6 +306,76 @@ function fetchConfig(type = 'json') {
   };
 }
 
+/**
+ * Format an amount in cents with Intl in the storefront's active currency
+ * @param {number} cents - Amount in cents
+ * @param {string} [currency] - ISO currency code, defaults to Shopify.currency.active
+ * @returns {string}
+ */
+function formatMoney(cents, currency = window.Shopify?.currency?.active || 'USD') {
+  const amount = (cents || 0) / 100;
+  try {
+    return new Intl.NumberFormat(document.documentElement.lang || undefined, { style: 'currency', currency }).format(amount);
+  } catch (error) {
+    return amount.toFixed(2);
+  }
+}
+
+/**
+ * Add several variants to the cart in one /cart/add.js request and refresh the
+ * cart drawer or notification with the sections rendered in the same response.
+ * Publishes PUB_SUB_EVENTS.cartUpdate with the full cart, so every subscriber
+ * (cart counts, free-shipping bar) gets complete data.
+ * @param {Array<{id: number, quantity: number}>} items - Line items to add
+ * @param {Object} [options]
+ * @param {string} [options.source] - Source of the published cart events
+ * @param {HTMLElement} [options.activeElement] - Element to return focus to when the cart closes
+ * @returns {Promise<Object>} /cart/add.js response
+ * @throws {Error} With the cart's error description when the add fails
+ */
+async function addItemsToCart(items, { source, activeElement } = {}) {
+  const cart = document.querySelector('cart-notification') || document.querySelector('cart-drawer');
+  const body = { items };
+
+  if (cart) {
+    body.sections = cart.getSectionsToRender().map((section) => section.id);
+    body.sections_url = window.location.pathname;
+    if (activeElement) cart.setActiveElement(activeElement);
+  }
+
+  const response = await fetch(`${routes.cart_add_url}.js`, {
+    ...fetchConfig('javascript'),
+    body: JSON.stringify(body),
+  });
+  const data = await response.json();
+
+  if (data.status) {
+    publish(PUB_SUB_EVENTS.cartError, {
+      source,
+      errors: data.errors || data.description,
+      message: data.message,
+    });
+    throw new Error(data.description || data.message);
+  }
+
+  const cartData = (await window.themeStore.fetchCart({ force: true })) || data;
+  publish(PUB_SUB_EVENTS.cartUpdate, { source, cartData });
+
+  if (!cart) {
+    window.location = routes.cart_url;
+    return data;
+  }
+
+  // cart-notification announces how many items were added; cart-drawer re-renders the whole cart
+  if (typeof cart.renderItemsAdded === 'function') {
+    cart.renderItemsAdded(data, items.reduce((total, item) => total + item.quantity, 0));
+  } else {
+    cart.renderContents(data);
+  }
+  cart.classList.remove('is-empty');
+  return data;
+}
+
 /*
  * Shopify Common JS
  *
@@ -0,0 +1,646 @@
+/**
+ * Instagram Feed
+ * Shared component for every Instagram section and block
+ * (snippets/instagram-feed.liquid).
+ *
+ * Media comes from the VPS app (GET /instagram/media), which holds the access
+ * token, refreshes it before it expires and caches the media list, so the
+ * token never reaches the storefront. See docs/vps-app-proxy.md.
+ *
+ * Layouts (data-layout):
+ * - slider: square tiles, a set number per view
+ * - circles: fixed-size circles
+ * - circular: circles sized so a set number fit per view
+ * data-media-types picks the posts shown (video, image or all); images and
+ * carousel albums open in the same modal, where carousel children can be
+ * browsed. "Load more" follows the Graph API cursor relayed by the VPS app.
+ *
+ * The first screen of posts is cached in localStorage (instagramFeed:*) with
+ * preferences consent. A cached list renders right away and is refreshed in
+ * the background once it is older than data-cache-ttl minutes; when the
+ * refresh fails (rate limit, expired token) the cached list stays.
+ * With data-source="manual" the items are curated circles rendered in Liquid
+ * and open a rich content modal instead of a video.
+ *
+ * Shoppable posts: products tagged on a post (or a curated circle) are
+ * rendered into <template data-instagram-products="{post}"> elements and copied
+ * into the modal when it opens. Their forms are product-form elements, so add
+ * to cart works like on the product page; the modal closes to reveal the cart.
+ * Dependencies: vps-client.js, consent.js, pubsub.js, product-form.js for tagged products
+ */
+class InstagramFeed extends HTMLElement {
+  constructor() {
+    super();
+    this.track = null;
+    this.modal = null;
+    this.stage = null;
+    this.video = null;
+    this.items = [];
+    this.after = null;
+    this.modalMedia = [];
+    this.modalCaption = '';
+    this.slideIndex = 0;
+    this.productsPanel = null;
+    this.cartUpdateUnsubscriber = null;
+    this.resizeHandler = null;
+    this.abortController = null;
+  }
+
+  connectedCallback() {
+    this.track = this.querySelector('[data-instagram-track]');
+    this.modal = this.querySelector('[data-instagram-modal]');
+    this.stage = this.modal?.querySelector('[data-instagram-stage]');
+    this.productsPanel = this.modal?.querySelector('[data-instagram-products-panel]');
+    this.loadMoreButton = this.querySelector('[data-instagram-load-more]');
+    if (!this.track) return;
+
+    this.updateSlidesPerView();
+    this.setupResize();
+    this.setupNavigation();
+    this.setupModal();
+
+    if (this.source === 'manual') {
+      this.setupManualItems();
+    } else {
+      this.track.addEventListener('click', (event) => {
+        const element = event.target.closest('[data-index]');
+        if (element) this.openModal(this.items[element.dataset.index]);
+      });
+      this.loadMoreButton?.addEventListener('click', () => this.loadMore());
+      this.loadFeed();
+    }
+  }
+
+  disconnectedCallback() {
+    this.abortController?.abort();
+    this.resetVideo();
+    this.cartUpdateUnsubscriber?.();
+    if (this.resizeHandler) {
+      window.removeEventListener('resize', this.resizeHandler);
+    }
+  }
+
+  get layout() {
+    return InstagramFeed.LAYOUTS.includes(this.dataset.layout) ? this.dataset.layout : 'circles';
+  }
+
+  get source() {
+    return this.dataset.source || 'api';
+  }
+
+  /**
+   * @returns {string[]} Graph API media types to show
+   */
+  get mediaTypes() {
+    return InstagramFeed.MEDIA_TYPES[this.dataset.mediaTypes] || InstagramFeed.MEDIA_TYPES.video;
+  }
+
+  get mediaCount() {
+    return parseInt(this.dataset.mediaCount, 10) || 8;
+  }
+
+  get desktopCount() {
+    return parseInt(this.dataset.desktopCount, 10) || 6;
+  }
+
+  get mobileCount() {
+    return parseInt(this.dataset.mobileCount, 10) || 3;
+  }
+
+  /**
+   * @returns {number} Age in ms after which the cached feed is refreshed
+   */
+  get cacheTtl() {
+    const minutes = parseInt(this.dataset.cacheTtl, 10);
+    return (Number.isNaN(minutes) ? 30 : minutes) * 60 * 1000;
+  }
+
+  get cacheKey() {
+    return `${InstagramFeed.CACHE_PREFIX}${this.dataset.mediaTypes || 'video'}:${this.mediaCount}`;
+  }
+
+  get slidesToShow() {
+    return window.innerWidth < 750 ? this.mobileCount : this.desktopCount;
+  }
+
+  getLabel(key, fallback) {
+    const dataKey = `label${key.charAt(0).toUpperCase() + key.slice(1)}`;
+    return this.dataset[dataKey] || fallback;
+  }
+
+  /**
+   * @param {string|null} after - Cursor of the page to load, null for the first page
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<{data: Array<Object>, paging?: Object}>} Graph API media list, as relayed by the VPS app
+   */
+  fetchMedia(after, signal) {
+    return window.vpsClient.get('/instagram/media', {
+      query: { limit: this.mediaCount, after },
+      consent: 'instagram',
+      signal,
+    });
+  }
+
+  /**
+   * Read pages from a cursor until there are mediaCount posts of the selected
+   * types, the feed ends or InstagramFeed.MAX_PAGES pages were read
+   * @private
+   * @param {string|null} after - Cursor to start from, null for the first page
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<{items: Array<Object>, after: string|null}>} Matching posts and the cursor after them
+   */
+  async fetchMatching(after, signal) {
+    const items = [];
+    let pages = 0;
+    do {
+      const payload = await this.fetchMedia(after, signal);
+      items.push(...(payload.data || []).filter((item) => this.mediaTypes.includes(item.media_type)));
+      after = payload.paging?.next ? payload.paging.cursors?.after || null : null;
+      pages += 1;
+    } while (after && items.length < this.mediaCount && pages < InstagramFeed.MAX_PAGES);
+
+    return { items, after };
+  }
+
+  /**
+   * Render the cached feed, then fetch it unless the cache is still fresh
+   */
+  async loadFeed() {
+    this.abortController?.abort();
+    this.abortController = new AbortController();
+    const { signal } = this.abortController;
+
+    await window.themeConsent.ready;
+    if (signal.aborted) return;
+    // Cached media still comes from Instagram's CDN, so it needs the same consent as a fetch
+    const cached = window.themeConsent.allows('instagram') ? this.readCache() : null;
+    if (cached) {
+      this.renderFeed(cached.items, cached.after);
+      if (Date.now() - cached.savedAt < this.cacheTtl) return;
+    }
+
+    try {
+      const { items, after } = await this.fetchMatching(null, signal);
+      this.writeCache(items, after);
+
+      // Keep what the shopper is looking at if they already loaded more or opened a post
+      if (cached && (this.items.length !== cached.items.length || this.modal?.open)) return;
+      if (cached && this.isSameFeed(cached.items, items)) return;
+      this.renderFeed(items, after);
+    } catch (error) {
+      if (signal.aborted) return;
+      if (error.code === 'consent_required') {
+        // Instagram media needs marketing consent; the loading message stays until then
+        window.themeConsent.whenAllowed('instagram').then(() => this.loadFeed());
+        return;
+      }
+      if (cached) {
+        // Rate limited or the token expired: the last good list stays up
+        console.warn('InstagramFeed: Refresh failed, showing the cached feed:', error);
+        return;
+      }
+      console.error('InstagramFeed: Error loading feed:', error);
+      this.showMessage('error', 'Error loading feed');
+    }
+  }
+
+  /**
+   * @private
+   * @param {Array<Object>} items
+   * @param {string|null} after - Cursor of the next page
+   */
+  renderFeed(items, after) {
+    this.items = [];
+    this.after = after;
+    this.updateLoadMore();
+
+    if (!items.length) {
+      this.showMessage('empty', 'No posts available');
+      return;
+    }
+
+    this.track.innerHTML = '';
+    this.appendMedia(items);
+  }
+
+  /**
+   * @private
+   */
+  isSameFeed(a, b) {
+    return a.length === b.length && a.every((item, index) => item.id === b[index].id && item.media_url === b[index].media_url);
+  }
+
+  /**
+   * @private
+   * @returns {{items: Array<Object>, after: string|null, savedAt: number}|null} Cached feed, unless it is too old to show
+   */
+  readCache() {
+    if (!window.themeConsent.allows('instagramCache')) return null;
+
+    try {
+      const cached = JSON.parse(localStorage.getItem(this.cacheKey) || 'null');
+      if (!cached || !Array.isArray(cached.items) || Date.now() - cached.savedAt > InstagramFeed.MAX_CACHE_AGE) {
+        return null;
+      }
+      return cached;
+    } catch (error) {
+      console.warn('InstagramFeed: Error reading the cached feed', error);
+      return null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  writeCache(items, after) {
+    if (!window.themeConsent.allows('instagramCache')) return;
+
+    try {
+      localStorage.setItem(this.cacheKey, JSON.stringify({ items, after, savedAt: Date.now() }));
+    } catch (error) {
+      console.warn('InstagramFeed: Error caching the feed', error);
+    }
+  }
+
+  /**
+   * Append the next page of posts and move focus to the first new one
+   */
+  async loadMore() {
+    if (!this.after || this.loadMoreButton.getAttribute('aria-disabled') === 'true') return;
+
+    this.abortController?.abort();
+    this.abortController = new AbortController();
+    const { signal } = this.abortController;
+
+    const spinner = this.loadMoreButton.querySelector('.loading__spinner');
+    this.loadMoreButton.setAttribute('aria-disabled', 'true');
+    this.loadMoreButton.classList.add('loading');
+    spinner?.classList.remove('hidden');
+
+    try {
+      const { items, after } = await this.fetchMatching(this.after, signal);
+      // Only advance once every page arrived, so a failed "load more" can be retried
+      this.after = after;
+      this.appendMedia(items)?.focus();
+    } catch (error) {
+      if (signal.aborted) return;
+      // The button stays so the shopper can try again
+      console.error('InstagramFeed: Error loading more posts:', error);
+    } finally {
+      this.loadMoreButton.removeAttribute('aria-disabled');
+      this.loadMoreButton.classList.remove('loading');
+      spinner?.classList.add('hidden');
+      if (!signal.aborted) this.updateLoadMore();
+    }
+  }
+
+  /**
+   * @private
+   * @returns {HTMLElement|null} The first appended item
+   */
+  appendMedia(items) {
+    const start = this.items.length;
+    this.items.push(...items);
+    this.track.insertAdjacentHTML('beforeend', items.map((item, index) => this.renderItem(item, start + index)).join(''));
+
+    return this.track.querySelector(`[data-index="${start}"]`);
+  }
+
+  /**
+   * @private
+   */
+  updateLoadMore() {
+    if (this.loadMoreButton) this.loadMoreButton.hidden = !this.after;
+  }
+
+  /**
+   * @private
+   * @param {{media_type: string, media_url: string, thumbnail_url?: string, permalink: string, caption?: string, children?: {data: Array<Object>}}} item
+   * @returns {string}
+   */
+  renderItem(item, index) {
+    const isVideo = item.media_type === 'VIDEO';
+    const alt = item.caption || `Instagram post ${index + 1}`;
+    const label = isVideo
+      ? this.getLabel('play', 'Play video [index]').replace('[index]', index + 1)
+      : this.getLabel('open', 'Open post [index]').replace('[index]', index + 1);
+    let overlay = '';
+    if (isVideo) {
+      overlay = '<span class="instagram-feed__overlay"><span class="instagram-feed__play" aria-hidden="true"></span></span>';
+    } else if (item.media_type === 'CAROUSEL_ALBUM') {
+      overlay = '<span class="instagram-feed__overlay instagram-feed__overlay--corner"><span class="instagram-feed__carousel-icon" aria-hidden="true"></span></span>';
+    }
+
+    return `
+      <button
+        type="button"
+        class="instagram-feed__item instagram-feed__item--${item.media_type.toLowerCase()}"
+        data-index="${index}"
+        aria-label="${this.escapeAttr(label)}"
+        aria-haspopup="dialog"
+      >
+        <img
+          class="instagram-feed__thumb"
+          src="${this.escapeAttr(this.getThumbnail(item))}"
+          alt="${this.escapeAttr(alt)}"
+          loading="lazy"
+        />
+        ${overlay}
+      </button>
+    `;
+  }
+
+  /**
+   * Image URL for a post: the video poster, the image itself, or for an album
+   * the thumbnail of its first child
+   * @private
+   * @returns {string}
+   */
+  getThumbnail(media) {
+    if (media.media_type === 'VIDEO') return media.thumbnail_url;
+    if (media.media_type === 'CAROUSEL_ALBUM') {
+      const first = media.children?.data?.[0];
+      return first ? this.getThumbnail(first) : media.thumbnail_url || media.media_url;
+    }
+    return media.media_url;
+  }
+
+  setupManualItems() {
+    this.track.querySelectorAll('.instagram-feed__item--manual').forEach((item) => {
+      item.addEventListener('click', () => this.openRichModal(item));
+    });
+  }
+
+  openRichModal(item) {
+    const modalBody = this.modal?.querySelector('[data-instagram-modal-body]');
+    if (!modalBody) return;
+
+    const image = item.dataset.modalImage || '';
+    const title = item.dataset.modalTitle || '';
+    const description = item.dataset.modalDescription || '';
+    const ctaText = item.dataset.modalCtaText || '';
+    const ctaUrl = item.dataset.modalCtaUrl || '';
+
+    let html = '';
+    if (image) {
+      html += `<img class="instagram-feed__modal-image" src="${this.escapeAttr(image)}" alt="${this.escapeAttr(title)}" loading="eager" />`;
+    }
+    html += '<div class="instagram-feed__modal-content">';
+    if (title) html += `<h3 class="instagram-feed__modal-title">${this.escapeHtml(title)}</h3>`;
+    if (description) html += `<div class="instagram-feed__modal-description">${description}</div>`;
+    if (ctaText && ctaUrl) {
+      html += `<a class="instagram-feed__modal-cta button button--secondary" href="${this.escapeAttr(ctaUrl)}">${this.escapeHtml(ctaText)}</a>`;
+    }
+    html += '</div>';
+
+    modalBody.innerHTML = html;
+    this.showProducts(item.dataset.productsKey ? [item.dataset.productsKey] : []);
+    this.showModal();
+  }
+
+  setupNavigation() {
+    this.querySelector('[data-instagram-prev]')?.addEventListener('click', () => this.scroll('prev'));
+    this.querySelector('[data-instagram-next]')?.addEventListener('click', () => this.scroll('next'));
+  }
+
+  scroll(direction) {
+    const scrollAmount = this.track.offsetWidth * 0.8;
+    this.track.scrollBy({
+      left: direction === 'next' ? scrollAmount : -scrollAmount,
+      behavior: 'smooth',
+    });
+  }
+
+  setupResize() {
+    this.resizeHandler = () => this.updateSlidesPerView();
+    window.addEventListener('resize', this.resizeHandler, { passive: true });
+  }
+
+  updateSlidesPerView() {
+    this.style.setProperty('--instagram-feed-slides', this.slidesToShow);
+  }
+
+  setupModal() {
+    if (!this.modal) return;
+
+    this.modal.addEventListener('close', () => {
+      this.resetVideo();
+      this.stage?.replaceChildren();
+      this.productsPanel?.querySelector('[data-instagram-products-list]').replaceChildren();
+      if (this.source === 'manual') {
+        const body = this.modal.querySelector('[data-instagram-modal-body]');
+        if (body) body.innerHTML = '';
+      }
+    });
+    this.modal.addEventListener('cancel', (event) => {
+      event.preventDefault();
+      this.modal.close();
+    });
+
+    this.querySelector('[data-instagram-modal-close]')?.addEventListener('click', () => this.modal.close());
+
+    this.modal.querySelectorAll('[data-instagram-slide]').forEach((button) => {
+      button.addEventListener('click', () =>
+        this.showSlide(this.slideIndex + (button.dataset.instagramSlide === 'next' ? 1 : -1))
+      );
+    });
+    this.modal.addEventListener('change', (event) => {
+      if (event.target.matches('[data-instagram-variant]')) this.onVariantChange(event.target);
+    });
+
+    // A tagged product was added: close so the cart drawer or notification is not hidden behind the modal
+    this.cartUpdateUnsubscriber = subscribe(PUB_SUB_EVENTS.cartUpdate, (event) => {
+      if (event.source !== 'product-form' || !this.modal.open || !this.productsPanel) return;
+      const inputs = this.productsPanel.querySelectorAll('[name="id"]');
+      if ([...inputs].some((input) => input.value === String(event.productVariantId))) this.modal.close();
+    });
+
+    this.modal.addEventListener('keydown', (event) => {
+      if (this.modalMedia.length < 2 || event.target.closest('video, select, input')) return;
+      if (event.key === 'ArrowRight') this.showSlide(this.slideIndex + 1);
+      if (event.key === 'ArrowLeft') this.showSlide(this.slideIndex - 1);
+    });
+  }
+
+  /**
+   * Open a post in the modal; carousel albums show their children one at a time
+   * @param {Object} item - Post from the feed
+   */
+  openModal(item) {
+    if (!this.modal || !this.stage || !item) return;
+
+    const children = item.media_type === 'CAROUSEL_ALBUM' ? item.children?.data || [] : [];
+    this.modalMedia = children.length ? children : [item];
+    this.modalCaption = item.caption || '';
+
+    const carousel = this.modal.querySelector('[data-instagram-carousel]');
+    if (carousel) carousel.hidden = this.modalMedia.length < 2;
+
+    const link = this.modal.querySelector('[data-instagram-permalink]');
+    if (link) {
+      link.href = item.permalink || '#';
+      link.hidden = !item.permalink;
+    }
+
+    this.showSlide(0);
+    this.showProducts([item.id, this.getPostKey(item.permalink || '')].filter(Boolean));
+    this.showModal();
+  }
+
+  /**
+   * Copy the products tagged on the opened post into the modal
+   * @private
+   * @param {string[]} keys - Keys the post can be tagged with: media ID, shortcode or circle key
+   */
+  showProducts(keys) {
+    if (!this.productsPanel) return;
+
+    const templates = [...this.querySelectorAll('template[data-instagram-products]')].filter((template) =>
+      keys.includes(this.getPostKey(template.dataset.instagramProducts))
+    );
+    this.productsPanel
+      .querySelector('[data-instagram-products-list]')
+      .replaceChildren(...templates.map((template) => template.content.cloneNode(true)));
+    this.productsPanel.hidden = templates.length === 0;
+    this.modal.classList.toggle('instagram-feed__modal--shoppable', templates.length > 0);
+  }
+
+  /**
+   * Shortcode of a post URL (instagram.com/p/{shortcode}/), or the value itself
+   * @private
+   * @param {string} value - Post URL, shortcode or media ID
+   * @returns {string}
+   */
+  getPostKey(value) {
+    const path = String(value).trim().split(/[?#]/)[0];
+    return path.includes('/') ? path.split('/').filter(Boolean).pop() || '' : path;
+  }
+
+  /**
+   * Show the price and availability of the variant picked for a tagged product
+   * @private
+   * @param {HTMLSelectElement} select
+   */
+  onVariantChange(select) {
+    const option = select.selectedOptions[0];
+    const product = select.closest('[data-instagram-product]');
+    if (!option || !product) return;
+
+    product.querySelector('[data-instagram-product-price]').textContent = option.dataset.price;
+    const compare = product.querySelector('[data-instagram-product-compare]');
+    compare.textContent = option.dataset.comparePrice;
+    compare.hidden = !option.dataset.comparePrice;
+
+    select.closest('product-form')?.toggleSubmitButton(option.dataset.available !== 'true', window.variantStrings.soldOut);
+  }
+
+  /**
+   * @private
+   * @param {number} index - Wraps around at both ends
+   */
+  showSlide(index) {
+    const total = this.modalMedia.length;
+    if (!total) return;
+
+    this.resetVideo();
+    this.slideIndex = (index + total) % total;
+    const media = this.modalMedia[this.slideIndex];
+    let element;
+
+    if (media.media_type === 'VIDEO') {
+      element = document.createElement('video');
+      element.playsInline = true;
+      element.controls = true;
+      element.muted = true;
+      element.preload = 'metadata';
+      element.poster = media.thumbnail_url || '';
+      element.src = media.media_url;
+      this.video = element;
+    } else {
+      element = document.createElement('img');
+      element.src = media.media_url;
+      element.alt = this.modalCaption;
+    }
+
+    this.stage.dataset.mediaType = media.media_type;
+    this.stage.replaceChildren(element);
+
+    const counter = this.modal.querySelector('[data-instagram-slide-counter]');
+    if (counter) counter.textContent = `${this.slideIndex + 1} / ${total}`;
+
+    this.video?.play().catch(() => {
+      /* Autoplay may be blocked by browser */
+    });
+  }
+
+  /**
+   * @private
+   */
+  showModal() {
+    if (typeof this.modal.showModal === 'function') {
+      this.modal.showModal();
+    } else {
+      this.modal.setAttribute('open', 'true');
+    }
+  }
+
+  resetVideo() {
+    if (!this.video) return;
+    this.video.pause();
+    this.video.removeAttribute('src');
+    this.video.load();
+    this.video = null;
+  }
+
+  showMessage(type, fallback) {
+    const message = this.getLabel(type, fallback);
+    const className = type === 'empty' ? 'empty' : type === 'loading' ? 'status' : 'error';
+    this.track.innerHTML = `<div class="instagram-feed__${className}">${this.escapeHtml(message)}</div>`;
+  }
+
+  escapeHtml(str) {
+    const div = document.createElement('div');
+    div.textContent = str;
+    return div.innerHTML;
+  }
+
+  escapeAttr(str) {
+    return String(str || '')
+      .replace(/&/g, '&amp;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+}
+
+InstagramFeed.LAYOUTS = ['slider', 'circles', 'circular'];
+
+/**
+ * data-media-types value -> Graph API media types
+ */
+InstagramFeed.MEDIA_TYPES = {
+  all: ['VIDEO', 'IMAGE', 'CAROUSEL_ALBUM'],
+  video: ['VIDEO'],
+  image: ['IMAGE', 'CAROUSEL_ALBUM'],
+};
+
+/**
+ * Most pages read per load when the selected types are rare in the feed
+ */
+InstagramFeed.MAX_PAGES = 3;
+
+/**
+ * localStorage key prefix, cleared by consent.js when preferences consent is withdrawn
+ */
+InstagramFeed.CACHE_PREFIX = 'instagramFeed:';
+
+/**
+ * Oldest cached feed that is still shown, even when a refresh fails.
+ * Instagram media URLs expire after a few days.
+ */
+InstagramFeed.MAX_CACHE_AGE = 24 * 60 * 60 * 1000;
+
+if (!customElements.get('instagram-feed')) {
+  customElements.define('instagram-feed', InstagramFeed);
+}
@@ -1,38 +1,116 @@
 // inventory-bar.js
-// Hides the default inventory element and adds a styled inventory bar after the favorite button
-
-document.addEventListener('DOMContentLoaded', function () {
-    // Find the wrapper and bar correctly
-    var wrapper = document.querySelector('.inventory-bar__wrapper');
-    if (!wrapper) return;
-    var bar = wrapper.querySelector('.inventory-bar');
-    if (!bar) return;
-
-    // Get inventory quantity
-    var inventoryQty = parseInt(bar.getAttribute('data-inventory'), 10) || 0;
-
-    var sections = bar.querySelectorAll('.inventory-bar__section');
-    // Remove all fill classes
-    sections.forEach(function (s) {
-        s.className = 'inventory-bar__section';
-    });
-    // Remove all glow classes
-    wrapper.classList.remove('glow-green', 'glow-yellow', 'glow-red');
-    // Fill logic for 3 segments and set glow
-    if (inventoryQty > 20) {
-        sections.forEach(function (s) {
-            s.classList.add('filled-green');
-        });
-        wrapper.classList.add('glow-green');
-    } else if (inventoryQty > 7) {
-        if (sections[0]) sections[0].classList.add('filled-yellow');
-        if (sections[1]) sections[1].classList.add('filled-yellow');
-        wrapper.classList.add('glow-yellow');
-    } else if (inventoryQty > 0) {
-        if (sections[0]) sections[0].classList.add('filled-red');
-        wrapper.classList.add('glow-red');
-    } else {
-        // No fill if 0, red glow
-        wrapper.classList.add('glow-red');
+// <inventory-bar> fills its segments from data-inventory and the inventory block thresholds,
+// and follows variant changes in its product section (rendered by snippets/inventory-bar.liquid)
+
+if (!customElements.get('inventory-bar')) {
+    class InventoryBar extends HTMLElement {
+        connectedCallback() {
+            this.segments = Array.from(this.querySelectorAll('.inventory-bar__section'));
+            this.label = this.querySelector('[data-inventory-bar-label]');
+
+            this.variantChangeUnsubscriber = subscribe(PUB_SUB_EVENTS.variantChange, (event) => {
+                this.onVariantChange(event.data || {});
+            });
+
+            this.render();
+        }
+
+        disconnectedCallback() {
+            if (this.variantChangeUnsubscriber) this.variantChangeUnsubscriber();
+        }
+
+        /**
+         * Quick add modals prefix the section ID in the markup, but product-info
+         * still publishes the original ID
+         * @returns {string}
+         */
+        get sectionId() {
+            return this.closest('product-info')?.sectionId || this.dataset.sectionId;
+        }
+
+        get quantity() {
+            return parseInt(this.dataset.inventory, 10) || 0;
+        }
+
+        getThreshold(name) {
+            const value = parseInt(this.dataset[`threshold${name.charAt(0).toUpperCase()}${name.slice(1)}`], 10);
+            return Number.isNaN(value) ? InventoryBar.DEFAULT_THRESHOLDS[name] : value;
+        }
+
+        /**
+         * Read the selected variant's stock from the section HTML product-info fetched for it.
+         * The product ID check keeps a quick add modal and the product page from
+         * updating each other when they share a section template.
+         * @param {{sectionId: string, html: Document, variant: Object}} data
+         */
+        onVariantChange({ sectionId, html, variant }) {
+            if (!variant || !html || sectionId !== this.sectionId) return;
+
+            const source = html.querySelector(`inventory-bar[data-block-id="${this.dataset.blockId}"]`);
+            if (!source || source.dataset.productId !== this.dataset.productId) return;
+
+            this.dataset.inventory = source.dataset.inventory;
+            this.dataset.tracked = source.dataset.tracked;
+            this.render();
+        }
+
+        /**
+         * @param {number} quantity
+         * @returns {string} 'oos', 'low', 'medium', 'high' or 'full'
+         */
+        getLevel(quantity) {
+            if (quantity <= 0) return 'oos';
+            if (quantity <= this.getThreshold('low')) return 'low';
+            if (quantity <= this.getThreshold('medium')) return 'medium';
+            if (quantity <= this.getThreshold('high')) return 'high';
+            return 'full';
+        }
+
+        /**
+         * @param {number} quantity
+         * @returns {number} Segments to fill; at least one while in stock, all from the full threshold
+         */
+        getFilledCount(quantity) {
+            if (quantity <= 0) return 0;
+            const full = Math.max(1, this.getThreshold('full'));
+            return Math.min(this.segments.length, Math.max(1, Math.ceil((quantity / full) * this.segments.length)));
+        }
+
+        getLabel(level, quantity) {
+            if (level === 'oos') return this.dataset.labelOut;
+            if (level === 'low' || level === 'medium') return this.dataset.labelLow.replace('[quantity]', quantity);
+            return this.dataset.labelIn;
+        }
+
+        render() {
+            // Untracked variants and variants that keep selling when out of stock have no level to show
+            this.hidden = this.dataset.tracked !== 'true';
+            if (this.hidden) return;
+
+            const quantity = this.quantity;
+            const level = this.getLevel(quantity);
+            const filled = this.getFilledCount(quantity);
+
+            this.dataset.level = level;
+            this.segments.forEach((segment, index) => {
+                segment.classList.toggle('inventory-bar__section--filled', index < filled);
+            });
+
+            // Only touch the live region when the text changes, so re-renders are not announced
+            const label = this.getLabel(level, quantity);
+            if (this.label && this.label.textContent !== label) this.label.textContent = label;
+        }
     }
-});
+
+    /**
+     * Used when a threshold is missing; matches the inventory block defaults
+     */
+    InventoryBar.DEFAULT_THRESHOLDS = {
+        low: 2,
+        medium: 5,
+        high: 10,
+        full: 20,
+    };
+
+    customElements.define('inventory-bar', InventoryBar);
+}
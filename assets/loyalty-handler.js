@@ -1,28 +1,67 @@
 /**
  * Loyalty Handler
  * Manages loyalty points display, redemption, and sync with VPS app
+ *
+ * All requests go through window.vpsClient (vps-client.js), which targets the
+ * Shopify app proxy. Shopify signs every proxied request and appends
+ * logged_in_customer_id, so the browser never sends credentials or a customer ID
+ * of its own. See docs/vps-app-proxy.md for the backend contract.
+ *
+ * <loyalty-points-preview> elements (snippets/loyalty-points-preview.liquid)
+ * show what a product or the cart would earn at the customer's tier.
+ *
+ * Redeemed discount codes are applied to the cart right away through the Ajax
+ * cart API (/cart/update.js with `discount`), re-rendering the cart drawer and
+ * the cart page. The account section lists every redeemed code with its status.
+ *
+ * Rewards come from the program config (/config): fixed-amount, percentage and
+ * free shipping rewards, each with a point cost. renderRewardCatalog() is shared
+ * by the account section and the rewards page.
+ *
+ * <loyalty-tier-progress> elements (snippets/loyalty-tier-progress.liquid) show
+ * the progress towards the next tier, its benefits and points about to expire,
+ * in the header badge dropdown, the account section and the cart drawer.
+ * Dependencies: vps-client.js, pubsub.js, theme-store.js, global.js (fetchConfig, formatMoney),
+ * base-notification.js (toasts)
  */
 class LoyaltyHandler {
   constructor() {
     this.isLoggedIn = !!(window.Shopify && window.Shopify.customerId);
     this.customerId = window.Shopify?.customerId;
-    this.apiUrl = 'http://31.97.184.19:3000'; // Your VPS app URL
-    this.apiKey = 'Gheorghe2025VeV';
+    this.client = window.vpsClient;
 
     // Loyalty state
     this.balance = 0;
     this.tier = 'bronze';
     this.tierConfig = null;
     this.nextTier = null;
+    this.nextTierConfig = null;
     this.spendToNextTier = 0;
+    this.expiringPoints = [];
     this.redemption = null;
+    this.rewards = [];
     this.history = [];
+    this.redeemedCodes = [];
     this.isLoading = true;
+    this.loaded = false;
+    this.consentRequired = false;
 
     if (this.isLoggedIn) {
       this.loadLoyaltyData().then(() => {
         this.initializeUI();
       });
+
+      // Load again once the shopper consents after a consent_required failure
+      subscribe(PUB_SUB_EVENTS.consentChange, () => {
+        if (!this.consentRequired || !window.themeConsent.allows('account')) return;
+        this.loadLoyaltyData().then(() => {
+          this.updatePointsBadge();
+          this.updateCartWidget();
+          this.updateAccountSection();
+          this.updatePointsPreviews();
+          this.updateTierProgress();
+        });
+      });
     } else {
       this.isLoading = false;
       this.initializeUI();
@@ -31,37 +70,29 @@ class LoyaltyHandler {
 
   /**
    * Load loyalty data from VPS app
+   * The customer is identified server-side from the signed proxy request.
    */
   async loadLoyaltyData() {
     try {
-      const response = await fetch(
-        `${this.apiUrl}/api/loyalty/balance?customerId=${this.customerId}`,
-        {
-          method: 'GET',
-          headers: {
-            'Content-Type': 'application/json',
-            'x-api-key': this.apiKey,
-          },
-        }
-      );
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}`);
-      }
-
-      const data = await response.json();
+      const [data] = await Promise.all([this.client.get('/balance', { consent: 'account' }), this.loadRewards()]);
+      this.consentRequired = false;
 
       if (data.success) {
         this.balance = data.points_balance || 0;
         this.tier = data.tier || 'bronze';
         this.tierConfig = data.tier_config || null;
         this.nextTier = data.next_tier || null;
+        this.nextTierConfig = data.next_tier_config || null;
         this.spendToNextTier = data.spend_to_next_tier || 0;
+        this.expiringPoints = data.expiring_points || [];
         this.redemption = data.redemption || null;
         this.history = data.history || [];
+        this.redeemedCodes = data.redeemed_codes || [];
+        this.loaded = true;
       }
     } catch (error) {
-      console.error('Error loading loyalty data:', error);
+      this.consentRequired = error.code === 'consent_required';
+      if (!this.consentRequired) console.error('Error loading loyalty data:', error);
     } finally {
       this.isLoading = false;
     }
@@ -72,24 +103,134 @@ class LoyaltyHandler {
    */
   async loadConfig() {
     try {
-      const response = await fetch(`${this.apiUrl}/api/loyalty/config`, {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': this.apiKey,
-        },
-      });
-
-      if (response.ok) {
-        const data = await response.json();
-        return data;
-      }
+      // Public program data, nothing about the shopper is sent
+      return await this.client.get('/config', { consent: null });
     } catch (error) {
       console.error('Error loading loyalty config:', error);
     }
     return null;
   }
 
+  /**
+   * Load the reward catalog from the program config
+   */
+  async loadRewards() {
+    const config = await this.loadConfig();
+    this.rewards = Array.isArray(config?.rewards) ? config.rewards : [];
+  }
+
+  /**
+   * Rewards the customer can choose from: the program catalog, or the single
+   * redemption option from /balance when the config has none
+   * @returns {Array<{id: string|null, type: string, points: number, value: number, max_points: number}>}
+   */
+  getRewards() {
+    if (this.rewards.length) return this.rewards;
+    if (!this.redemption) return [];
+
+    return [
+      {
+        id: null,
+        type: 'fixed_amount',
+        points: this.redemption.points_required,
+        value: this.redemption.discount_value,
+      },
+    ];
+  }
+
+  /**
+   * Discount a fixed-amount reward gives for the points spent; it scales in
+   * steps of reward.points
+   * @returns {number}
+   */
+  getRewardValue(reward, points = reward.points) {
+    if (reward.type !== 'fixed_amount' || !reward.points) return reward.value;
+    return Math.round(reward.value * Math.floor(points / reward.points) * 100) / 100;
+  }
+
+  /**
+   * Short reward label, e.g. "$5 off", "10% off", "Free shipping", from the
+   * translated strings; amounts are in the shop's active currency
+   */
+  describeReward(reward, points = reward.points) {
+    const strings = this.getStrings();
+    switch (reward.type) {
+      case 'free_shipping':
+        return strings.freeShipping || 'Free shipping';
+      case 'percentage':
+        return (strings.percentOff || '[percent]% off').replace('[percent]', reward.value);
+      default:
+        return (strings.amountOff || '[amount] off').replace(
+          '[amount]',
+          formatMoney(Math.round(this.getRewardValue(reward, points) * 100))
+        );
+    }
+  }
+
+  /**
+   * Loyalty strings translated in theme.liquid (window.theme.strings.loyalty)
+   * @returns {Object}
+   */
+  getStrings() {
+    return window.theme?.strings?.loyalty || {};
+  }
+
+  /**
+   * @returns {string} e.g. "250 pts"
+   */
+  formatPointsCost(points) {
+    return (this.getStrings().pointsCost || '[points] pts').replace('[points]', this.formatPoints(points));
+  }
+
+  /**
+   * Display name of a tier; the backend name of the next tier wins
+   */
+  getTierLabel(tier) {
+    if (tier === this.nextTier && this.nextTierConfig?.name) return this.nextTierConfig.name;
+    return LoyaltyHandler.TIER_LABELS[tier] || tier;
+  }
+
+  /**
+   * Progress from the current tier's minimum spend to the next tier's.
+   * Without next_tier_config.min_spend the bar starts at zero spend instead.
+   * @param {number} [pendingCents=0] - Cart total in the active currency, counted as pending spend
+   * @returns {{nextTier: string|null, percent: number, pendingPercent: number, remaining: number, unlocks: boolean}}
+   *   percent and pendingPercent add up to at most 100; remaining is in the store currency
+   */
+  getTierProgress(pendingCents = 0) {
+    if (!this.nextTier) return { nextTier: null, percent: 100, pendingPercent: 0, remaining: 0, unlocks: false };
+
+    const currentMin = parseFloat(this.tierConfig?.min_spend) || 0;
+    const nextMin = parseFloat(this.nextTierConfig?.min_spend) || 0;
+    const span = nextMin > currentMin ? nextMin - currentMin : currentMin + this.spendToNextTier;
+    const toPercent = (amount) => (span > 0 ? Math.max(0, Math.min(100, (amount / span) * 100)) : 0);
+
+    // Tier thresholds are in the store currency
+    const rate = parseFloat(window.Shopify?.currency?.rate) || 1;
+    const pending = pendingCents > 0 ? pendingCents / 100 / rate : 0;
+    const percent = toPercent(span - this.spendToNextTier);
+
+    return {
+      nextTier: this.nextTier,
+      percent,
+      pendingPercent: Math.min(100 - percent, toPercent(pending)),
+      remaining: Math.max(0, this.spendToNextTier - pending),
+      unlocks: pending > 0 && pending >= this.spendToNextTier,
+    };
+  }
+
+  /**
+   * @returns {{points: number, expires_at: string}|null} The next bucket of points to expire
+   */
+  getNextExpiry() {
+    const now = Date.now();
+    return (
+      this.expiringPoints
+        .filter((bucket) => bucket.points > 0 && new Date(bucket.expires_at).getTime() > now)
+        .sort((a, b) => new Date(a.expires_at) - new Date(b.expires_at))[0] || null
+    );
+  }
+
   /**
    * Initialize UI elements
    */
@@ -97,7 +238,42 @@ class LoyaltyHandler {
     this.updatePointsBadge();
     this.updateCartWidget();
     this.updateAccountSection();
+    this.updatePointsPreviews();
+    this.updateTierProgress();
     this.setupEventListeners();
+
+    // The account section shows which redeemed codes are in the cart
+    if (this.redeemedCodes.length && document.querySelector('.loyalty-account-section')) {
+      window.themeStore.fetchCart();
+    }
+  }
+
+  /**
+   * Points an amount would earn at the customer's tier
+   * @param {number} cents - Amount in the active currency
+   * @returns {number} Whole points; 0 for guests and until the tier is known
+   */
+  calculatePoints(cents) {
+    const pointsPerDollar = parseFloat(this.tierConfig?.points_per_dollar) || 0;
+    if (!this.isLoggedIn || !pointsPerDollar || !(cents > 0)) return 0;
+
+    // Tier rates are per unit of the store currency
+    const rate = parseFloat(window.Shopify?.currency?.rate) || 1;
+    return Math.floor((cents / 100 / rate) * pointsPerDollar);
+  }
+
+  /**
+   * Refresh every points preview on the page
+   */
+  updatePointsPreviews() {
+    document.querySelectorAll('loyalty-points-preview').forEach((preview) => preview.update?.());
+  }
+
+  /**
+   * Refresh every tier progress bar on the page
+   */
+  updateTierProgress() {
+    document.querySelectorAll('loyalty-tier-progress').forEach((progress) => progress.update?.());
   }
 
   /**
@@ -148,6 +324,9 @@ class LoyaltyHandler {
     const section = document.querySelector('.loyalty-account-section');
     if (!section) return;
 
+    // The tier progress element comes translated from Liquid; it is moved into each render
+    this.accountTierProgress = this.accountTierProgress || section.querySelector('loyalty-tier-progress');
+
     if (!this.isLoggedIn) {
       section.innerHTML = this.renderGuestMessage();
       return;
@@ -163,10 +342,23 @@ class LoyaltyHandler {
       showTierProgress: section.dataset.showTierProgress !== 'false',
       showRedeem: section.dataset.showRedeem !== 'false',
       rewardsUrl: section.dataset.rewardsUrl || '/pages/rewards',
+      codeTexts: {
+        heading: section.dataset.codesHeading || 'Your reward codes',
+        active: section.dataset.codeActiveText || 'Ready to use',
+        applied: section.dataset.codeAppliedText || 'Applied to cart',
+        notApplicable: section.dataset.codeNotApplicableText || "In cart, your order doesn't qualify yet",
+        used: section.dataset.codeUsedText || 'Used',
+        expired: section.dataset.codeExpiredText || 'Expired',
+        apply: section.dataset.codeApplyText || 'Apply to cart',
+        remove: section.dataset.codeRemoveText || 'Remove',
+      },
     };
 
     section.innerHTML = this.renderAccountSection(sectionSettings);
+    const tierProgressSlot = section.querySelector('[data-tier-progress-slot]');
+    if (tierProgressSlot && this.accountTierProgress) tierProgressSlot.replaceWith(this.accountTierProgress);
     this.attachRedeemHandler(section);
+    this.attachCodeHandlers(section);
   }
 
   /**
@@ -177,25 +369,36 @@ class LoyaltyHandler {
     const pointsNeeded = this.redemption
       ? Math.max(0, this.redemption.points_required - this.balance)
       : 0;
+    const strings = this.getStrings();
+    // Discount values are in currency units, like fixed-amount rewards
+    const value = formatMoney(Math.round((this.redemption?.discount_value || 5) * 100));
 
     return `
       <div class="loyalty-cart-content">
         <div class="loyalty-cart-balance">
           <span class="loyalty-icon">⭐</span>
           <span class="loyalty-balance-text">
-            You have <strong>${this.formatPoints(this.balance)}</strong> points
+            ${(strings.cartBalance || 'You have <strong>[points]</strong> points').replace('[points]', this.formatPoints(this.balance))}
           </span>
         </div>
         ${
           canRedeem
             ? `
           <button class="loyalty-redeem-btn button button--secondary" data-points="${this.redemption.points_required}">
-            Redeem ${this.redemption.points_required} pts for $${this.redemption.discount_value} off
+            ${this.escapeHtml(
+              (strings.redeemFor || 'Redeem [points] pts for [value] off')
+                .replace('[points]', this.formatPoints(this.redemption.points_required))
+                .replace('[value]', value)
+            )}
           </button>
         `
             : `
           <p class="loyalty-earn-more">
-            Earn ${pointsNeeded} more points to redeem $${this.redemption?.discount_value || 5} off
+            ${this.escapeHtml(
+              (strings.earnMore || 'Earn [points] more points to redeem [value] off')
+                .replace('[points]', this.formatPoints(pointsNeeded))
+                .replace('[value]', value)
+            )}
           </p>
         `
         }
@@ -211,41 +414,12 @@ class LoyaltyHandler {
     const showTierProgress = settings.showTierProgress !== false;
     const showRedeem = settings.showRedeem !== false;
     const rewardsUrl = settings.rewardsUrl || '/pages/rewards';
+    const codesHtml = this.renderRedeemedCodes(settings.codeTexts || {});
 
-    const tierLabels = {
-      bronze: 'Bronze',
-      silver: 'Silver',
-      gold: 'Gold',
-    };
-
-    const progressPercent = this.nextTier
-      ? Math.min(100, ((this.tierConfig?.min_spend || 0) / (this.tierConfig?.min_spend + this.spendToNextTier)) * 100)
-      : 100;
-
-    let tierProgressHtml = '';
-    if (showTierProgress) {
-      tierProgressHtml = this.nextTier
-        ? `
-          <div class="loyalty-progress">
-            <div class="loyalty-progress-bar">
-              <div class="loyalty-progress-fill" style="width: ${progressPercent}%"></div>
-            </div>
-            <p class="loyalty-progress-text">
-              Spend $${this.spendToNextTier.toFixed(0)} more to reach ${tierLabels[this.nextTier]}
-            </p>
-          </div>
-        `
-        : `<p class="loyalty-max-tier">You've reached the highest tier!</p>`;
-    }
+    // Filled with the <loyalty-tier-progress> element by updateAccountSection()
+    const tierProgressHtml = showTierProgress ? '<div data-tier-progress-slot></div>' : '';
 
-    let redeemHtml = '';
-    if (showRedeem && this.redemption && this.balance >= this.redemption.points_required) {
-      redeemHtml = `
-        <button class="loyalty-redeem-btn button" data-points="${this.redemption.points_required}">
-          Redeem ${this.redemption.points_required} pts for $${this.redemption.discount_value} off
-        </button>
-      `;
-    }
+    const redeemHtml = showRedeem ? this.renderRewardCatalog() : '';
 
     return `
       <div class="loyalty-account-content">
@@ -259,13 +433,112 @@ class LoyaltyHandler {
             <span class="loyalty-stat-label">Points</span>
           </div>
           <div class="loyalty-stat">
-            <span class="loyalty-stat-value loyalty-tier-${this.tier}">${tierLabels[this.tier] || this.tier}</span>
+            <span class="loyalty-stat-value loyalty-tier-${this.tier}">${this.getTierLabel(this.tier)}</span>
             <span class="loyalty-stat-label">Tier</span>
           </div>
         </div>
 
         ${tierProgressHtml}
         ${redeemHtml}
+        ${codesHtml}
+      </div>
+    `;
+  }
+
+  /**
+   * Render the reward catalog. Rewards with max_points can be redeemed in steps
+   * of their point cost, chosen with the range input; rewards the customer
+   * cannot afford yet stay visible but disabled.
+   */
+  renderRewardCatalog() {
+    const rewards = this.getRewards();
+    if (!rewards.length) return '';
+
+    const strings = this.getStrings();
+    const items = rewards.map((reward, index) => {
+      const affordable = this.balance >= reward.points;
+      const step = reward.points;
+      const maxPoints = Math.min(reward.max_points || step, Math.floor(this.balance / step) * step);
+      const hasStepper = reward.type === 'fixed_amount' && affordable && maxPoints > step;
+
+      return `
+        <li class="loyalty-reward${affordable ? '' : ' loyalty-reward--locked'}" data-reward-index="${index}">
+          <div class="loyalty-reward__info">
+            <span class="loyalty-reward__title" data-reward-title>${this.escapeHtml(this.describeReward(reward))}</span>
+            <span class="loyalty-reward__points" data-reward-points>${this.formatPointsCost(step)}</span>
+          </div>
+          ${
+            hasStepper
+              ? `
+            <div class="loyalty-reward__stepper">
+              <button type="button" class="loyalty-reward__step" data-reward-step="-1" aria-label="${this.escapeHtml(strings.fewerPoints || 'Fewer points')}">&minus;</button>
+              <input type="range" class="loyalty-reward__range" min="${step}" max="${maxPoints}" step="${step}" value="${step}" aria-label="${this.escapeHtml(strings.pointsToSpend || 'Points to spend')}" data-reward-range>
+              <button type="button" class="loyalty-reward__step" data-reward-step="1" aria-label="${this.escapeHtml(strings.morePoints || 'More points')}">+</button>
+            </div>
+          `
+              : ''
+          }
+          ${
+            affordable
+              ? ''
+              : `<p class="loyalty-reward__needed">${this.escapeHtml(
+                  (strings.unlock || 'Earn [points] more points to unlock').replace('[points]', this.formatPoints(step - this.balance))
+                )}</p>`
+          }
+          <button type="button" class="loyalty-redeem-btn button button--secondary" data-points="${step}"${affordable ? '' : ' disabled'}>
+            ${this.escapeHtml(strings.redeem || 'Redeem')}
+          </button>
+        </li>
+      `;
+    });
+
+    return `
+      <div class="loyalty-catalog">
+        <h3 class="loyalty-catalog__heading">${this.escapeHtml(strings.rewardsHeading || 'Rewards')}</h3>
+        <ul class="loyalty-catalog__list list-unstyled" role="list">${items.join('')}</ul>
+      </div>
+    `;
+  }
+
+  /**
+   * Render redeemed codes with their status; active codes can be applied to or
+   * removed from the cart
+   * @param {Object} texts - Labels from the account section data attributes
+   */
+  renderRedeemedCodes(texts) {
+    if (!this.redeemedCodes.length) return '';
+
+    const cartCodes = window.themeStore.select(ThemeStore.selectors.cartDiscountCodes);
+    const items = this.redeemedCodes.map((entry) => {
+      // Codes and statuses come from the backend, so escape them like any other remote text
+      const code = this.escapeHtml(entry.code);
+      const inCart = cartCodes.find((discount) => discount.code.toLowerCase() === entry.code.toLowerCase());
+      let status = entry.status;
+      let label = texts[entry.status] || entry.status;
+      let action = '';
+
+      if (entry.status === 'active' && inCart) {
+        status = inCart.applicable ? 'applied' : 'not-applicable';
+        label = inCart.applicable ? texts.applied : texts.notApplicable;
+        action = `<button type="button" class="loyalty-code__action link" data-code-action="remove" data-code="${code}">${texts.remove}</button>`;
+      } else if (entry.status === 'active') {
+        action = `<button type="button" class="loyalty-code__action link" data-code-action="apply" data-code="${code}">${texts.apply}</button>`;
+      }
+
+      return `
+        <li class="loyalty-code loyalty-code--${this.escapeHtml(status)}">
+          <code class="loyalty-code__code">${code}</code>
+          <span class="loyalty-code__value">${this.escapeHtml(this.describeReward({ type: entry.type, value: entry.value }))}</span>
+          <span class="loyalty-code__status">${this.escapeHtml(label)}</span>
+          ${action}
+        </li>
+      `;
+    });
+
+    return `
+      <div class="loyalty-codes">
+        <h3 class="loyalty-codes__heading">${texts.heading}</h3>
+        <ul class="loyalty-codes__list list-unstyled" role="list">${items.join('')}</ul>
       </div>
     `;
   }
@@ -293,6 +566,11 @@ class LoyaltyHandler {
       this.updateCartWidget();
     });
 
+    // Code statuses depend on the discount codes in the cart
+    window.themeStore.subscribe('cart', () => {
+      if (this.redeemedCodes.length && !this.isLoading) this.updateAccountSection();
+    });
+
     // Handle dynamically added elements
     const observer = new MutationObserver((mutations) => {
       for (const mutation of mutations) {
@@ -313,26 +591,165 @@ class LoyaltyHandler {
   }
 
   /**
-   * Attach redeem button handler
+   * Attach redeem button handlers, and the point steppers of catalog rewards
+   * @param {HTMLElement} container
+   * @param {Function} [onRedeemed] - Called after a successful redemption
    */
-  attachRedeemHandler(container) {
-    const btn = container.querySelector('.loyalty-redeem-btn');
-    if (!btn) return;
+  attachRedeemHandler(container, onRedeemed) {
+    container.querySelectorAll('.loyalty-redeem-btn').forEach((btn) => {
+      const item = btn.closest('[data-reward-index]');
+      const reward = item ? this.getRewards()[item.dataset.rewardIndex] : null;
+      const range = item?.querySelector('[data-reward-range]');
+
+      if (range) {
+        const sync = () => {
+          const points = parseInt(range.value, 10);
+          btn.dataset.points = points;
+          item.querySelector('[data-reward-title]').textContent = this.describeReward(reward, points);
+          item.querySelector('[data-reward-points]').textContent = this.formatPointsCost(points);
+        };
 
-    btn.addEventListener('click', async (e) => {
-      e.preventDefault();
-      const points = parseInt(btn.dataset.points, 10);
-      await this.redeemPoints(points, btn);
+        range.addEventListener('input', sync);
+        item.querySelectorAll('[data-reward-step]').forEach((stepBtn) => {
+          stepBtn.addEventListener('click', () => {
+            // The range input clamps the value to min/max
+            range.value = parseInt(range.value, 10) + parseInt(stepBtn.dataset.rewardStep, 10) * parseInt(range.step, 10);
+            sync();
+          });
+        });
+      }
+
+      btn.addEventListener('click', async (e) => {
+        e.preventDefault();
+        const points = parseInt(btn.dataset.points, 10);
+        const redeemed = await this.redeemPoints(points, btn, reward);
+        if (redeemed && onRedeemed) onRedeemed();
+      });
     });
   }
 
+  /**
+   * Attach apply / remove handlers of the redeemed codes list
+   */
+  attachCodeHandlers(container) {
+    container.querySelectorAll('[data-code-action]').forEach((btn) => {
+      btn.addEventListener('click', async (e) => {
+        e.preventDefault();
+        btn.disabled = true;
+
+        try {
+          if (btn.dataset.codeAction === 'remove') {
+            await this.removeDiscountCode(btn.dataset.code);
+          } else {
+            await this.applyDiscountCode(btn.dataset.code);
+          }
+        } catch (error) {
+          console.error('Error updating cart discount codes:', error);
+          window.BaseNotification?.toast({
+            message: window.theme?.strings?.loyalty?.cartUpdateFailed || "Your cart couldn't be updated. Please try again.",
+            type: 'error',
+          });
+          btn.disabled = false;
+        }
+      });
+    });
+  }
+
+  /**
+   * Apply a discount code to the cart, keeping the codes already applied
+   * @param {string} code
+   * @returns {Promise<boolean>} Whether the code applies to the current cart
+   */
+  async applyDiscountCode(code) {
+    const cart = await window.themeStore.fetchCart({ force: true });
+    const codes = (cart?.discount_codes || [])
+      .map((discount) => discount.code)
+      .filter((existing) => existing.toLowerCase() !== code.toLowerCase());
+    const updated = await this.setCartDiscountCodes([...codes, code]);
+
+    if (!Array.isArray(updated.discount_codes)) {
+      // No discount support in the cart API: the /discount route stores the code for checkout
+      await fetch(`${window.Shopify?.routes?.root || '/'}discount/${encodeURIComponent(code)}?redirect=/cart.js`, {
+        credentials: 'same-origin',
+      });
+      return true;
+    }
+
+    return updated.discount_codes.some(
+      (discount) => discount.code.toLowerCase() === code.toLowerCase() && discount.applicable
+    );
+  }
+
+  /**
+   * Remove a discount code from the cart
+   * @param {string} code
+   */
+  async removeDiscountCode(code) {
+    const cart = await window.themeStore.fetchCart({ force: true });
+    const codes = (cart?.discount_codes || [])
+      .map((discount) => discount.code)
+      .filter((existing) => existing.toLowerCase() !== code.toLowerCase());
+    await this.setCartDiscountCodes(codes);
+  }
+
+  /**
+   * Replace the cart's discount codes and re-render the cart drawer and the
+   * cart page (main-cart-items, main-cart-footer) from the same response
+   * @param {string[]} codes - Every code that should be applied
+   * @returns {Promise<Object>} Updated cart
+   * @throws {Error} When the cart rejects the update
+   */
+  async setCartDiscountCodes(codes) {
+    const sections = Array.from(document.querySelectorAll('cart-items, cart-drawer-items')).flatMap((element) =>
+      element.getSectionsToRender()
+    );
+
+    const response = await fetch(`${window.routes.cart_update_url}.js`, {
+      ...fetchConfig(),
+      body: JSON.stringify({
+        discount: codes.join(','),
+        sections: [...new Set(sections.map((section) => section.section))],
+        sections_url: window.location.pathname,
+      }),
+    });
+    const data = await response.json();
+    if (!response.ok || data.status) {
+      throw new Error(data.description || data.message || `HTTP ${response.status}`);
+    }
+
+    sections.forEach((section) => {
+      const container = document.getElementById(section.id);
+      const html = data.sections?.[section.section];
+      if (!container || !html) return;
+
+      const source = new DOMParser().parseFromString(html, 'text/html').querySelector(section.selector);
+      const target = container.querySelector(section.selector) || container;
+      if (source) target.innerHTML = source.innerHTML;
+    });
+
+    const cart = { ...data };
+    delete cart.sections;
+    publish(PUB_SUB_EVENTS.cartUpdate, { source: 'loyalty-handler', cartData: cart });
+    return cart;
+  }
+
   /**
    * Redeem points for discount code
+   * @param {number} points - Points to spend
+   * @param {HTMLElement} button - Redeem button, shows the progress
+   * @param {Object} [reward] - Catalog reward; the single /balance redemption when omitted
+   * @returns {Promise<boolean>} Whether the points were redeemed
    */
-  async redeemPoints(points, button) {
+  async redeemPoints(points, button, reward = null) {
+    const strings = window.theme?.strings?.loyalty || {};
+
     if (!this.isLoggedIn || !this.customerId) {
-      alert('Please log in to redeem points');
-      return;
+      window.BaseNotification?.toast({
+        message: strings.loginRequired || 'Log in to redeem your points.',
+        type: 'error',
+        action: { label: strings.logIn || 'Log in', href: window.routes?.account_login_url || '/account/login' },
+      });
+      return false;
     }
 
     const originalText = button.textContent;
@@ -340,43 +757,58 @@ class LoyaltyHandler {
     button.textContent = 'Redeeming...';
 
     try {
-      const response = await fetch(`${this.apiUrl}/api/loyalty/redeem`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': this.apiKey,
-        },
-        body: JSON.stringify({
-          customerId: this.customerId,
-          points: points,
-        }),
+      // No customerId in the body: the backend redeems for logged_in_customer_id
+      const data = await this.client.post('/redeem', reward?.id ? { points, reward_id: reward.id } : { points }, {
+        consent: 'account',
       });
+      const redeemed = {
+        code: data.discount_code,
+        type: reward?.type || 'fixed_amount',
+        value: data.discount_value,
+        status: 'active',
+        created_at: new Date().toISOString(),
+      };
 
-      const data = await response.json();
+      this.balance = data.remaining_points;
+      this.redeemedCodes = [redeemed, ...this.redeemedCodes];
 
-      if (data.success) {
-        this.balance = data.remaining_points;
-        this.showDiscountCode(data.discount_code, data.discount_value);
-        this.updatePointsBadge();
-        this.updateCartWidget();
-        this.updateAccountSection();
-      } else {
-        alert(data.error || 'Failed to redeem points. Please try again.');
-        button.disabled = false;
-        button.textContent = originalText;
+      try {
+        await this.applyDiscountCode(data.discount_code);
+        window.BaseNotification?.toast({
+          message: (strings.codeApplied || 'Code [code] was applied to your cart.').replace('[code]', data.discount_code),
+          type: 'success',
+        });
+      } catch (error) {
+        // The code is redeemed either way; let the customer enter it at checkout
+        console.error('Error applying discount code to cart:', error);
+        this.showDiscountCode(data.discount_code, this.describeReward(redeemed));
       }
+
+      this.updatePointsBadge();
+      this.updateCartWidget();
+      this.updateAccountSection();
+      return true;
     } catch (error) {
       console.error('Error redeeming points:', error);
-      alert('Failed to redeem points. Please try again.');
+      // Server-side rejections (e.g. not enough points) carry a readable message
+      window.BaseNotification?.toast({
+        message:
+          error.status && error.status < 500
+            ? error.message
+            : strings.redeemFailed || "Your points couldn't be redeemed. Please try again.",
+        type: 'error',
+      });
       button.disabled = false;
       button.textContent = originalText;
+      return false;
     }
   }
 
   /**
    * Show discount code modal/notification
+   * Fallback for when the code could not be applied to the cart
    */
-  showDiscountCode(code, value) {
+  showDiscountCode(code, label) {
     // Create modal
     const modal = document.createElement('div');
     modal.className = 'loyalty-discount-modal';
@@ -385,10 +817,10 @@ class LoyaltyHandler {
         <button class="loyalty-modal-close">&times;</button>
         <div class="loyalty-modal-icon">🎉</div>
         <h3>Congratulations!</h3>
-        <p>You've redeemed your points for a $${value} discount!</p>
+        <p>You've redeemed your points for ${this.escapeHtml(label)}!</p>
         <div class="loyalty-discount-code">
-          <code>${code}</code>
-          <button class="loyalty-copy-btn" data-code="${code}">Copy</button>
+          <code>${this.escapeHtml(code)}</code>
+          <button class="loyalty-copy-btn" data-code="${this.escapeHtml(code)}">Copy</button>
         </div>
         <p class="loyalty-modal-note">Use this code at checkout. Valid for 90 days.</p>
       </div>
@@ -422,6 +854,18 @@ class LoyaltyHandler {
     return points.toLocaleString();
   }
 
+  /**
+   * Escape text for HTML content and attribute values
+   */
+  escapeHtml(str) {
+    return String(str ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+
   /**
    * Get translation with fallback
    */
@@ -438,6 +882,202 @@ class LoyaltyHandler {
   }
 }
 
+LoyaltyHandler.TIER_LABELS = {
+  bronze: 'Bronze',
+  silver: 'Silver',
+  gold: 'Gold',
+};
+
+/**
+ * "Earn N points" preview for a product form or the cart drawer.
+ * The product preview follows variantChange for its section and the quantity
+ * input; the cart preview follows the cart slice of theme-store.js, which is
+ * updated on every cartUpdate.
+ */
+class LoyaltyPointsPreview extends HTMLElement {
+  connectedCallback() {
+    this.textElement = this.querySelector('[data-loyalty-preview-text]');
+    this.isCart = this.dataset.cart !== undefined;
+
+    if (this.isCart) {
+      this.unsubscribe = window.themeStore.subscribe('cart', () => this.update());
+    } else {
+      this.unsubscribe = subscribe(PUB_SUB_EVENTS.variantChange, (event) => {
+        if (!event.data?.variant || event.data.sectionId !== this.dataset.sectionId) return;
+        this.dataset.price = event.data.variant.price;
+        this.update();
+      });
+
+      // quantity-input dispatches 'change' for its +/- buttons
+      this.onQuantityChange = (event) => {
+        if (event.target.id === `Quantity-${this.dataset.sectionId}`) this.update();
+      };
+      document.addEventListener('change', this.onQuantityChange);
+      document.addEventListener('input', this.onQuantityChange);
+    }
+
+    this.update();
+  }
+
+  disconnectedCallback() {
+    if (this.unsubscribe) this.unsubscribe();
+    if (this.onQuantityChange) {
+      document.removeEventListener('change', this.onQuantityChange);
+      document.removeEventListener('input', this.onQuantityChange);
+    }
+  }
+
+  /**
+   * @returns {number} Amount to preview in cents
+   */
+  getAmount() {
+    if (this.isCart) {
+      const cart = window.themeStore.select(ThemeStore.selectors.cart);
+      return cart ? cart.total_price : parseInt(this.dataset.cartTotal, 10) || 0;
+    }
+
+    const quantityInput = document.getElementById(`Quantity-${this.dataset.sectionId}`);
+    const quantity = Math.max(1, parseInt(quantityInput?.value, 10) || 1);
+    return (parseInt(this.dataset.price, 10) || 0) * quantity;
+  }
+
+  update() {
+    const handler = window.loyaltyHandler;
+    const points = handler ? handler.calculatePoints(this.getAmount()) : 0;
+
+    this.hidden = points === 0;
+    if (points > 0) {
+      this.textElement.textContent = this.dataset.earnText.replace('[points]', handler.formatPoints(points));
+    }
+  }
+}
+
+if (!customElements.get('loyalty-points-preview')) {
+  customElements.define('loyalty-points-preview', LoyaltyPointsPreview);
+}
+
+/**
+ * Progress towards the next tier, with the benefits it unlocks and the next
+ * points to expire. The cart variant follows the cart slice of theme-store.js
+ * and shows the cart total as pending spend.
+ */
+class LoyaltyTierProgress extends HTMLElement {
+  connectedCallback() {
+    this.bar = this.querySelector('[data-tier-bar]');
+    this.fill = this.querySelector('[data-tier-fill]');
+    this.pendingFill = this.querySelector('[data-tier-pending]');
+    this.messageElement = this.querySelector('[data-tier-message]');
+    this.benefitsElement = this.querySelector('[data-tier-benefits]');
+    this.expiryElement = this.querySelector('[data-tier-expiry]');
+    this.isCart = this.dataset.context === 'cart';
+
+    if (this.isCart) {
+      this.unsubscribe = window.themeStore.subscribe('cart', () => this.update());
+    }
+
+    this.update();
+  }
+
+  disconnectedCallback() {
+    if (this.unsubscribe) this.unsubscribe();
+  }
+
+  /**
+   * @private
+   * @returns {number} Active currency units per unit of the store currency
+   */
+  getCurrencyRate() {
+    return parseFloat(window.Shopify?.currency?.rate) || 1;
+  }
+
+  /**
+   * @returns {number} Cart total in cents, counted towards the next tier
+   */
+  getPendingAmount() {
+    if (!this.isCart) return 0;
+    const cart = window.themeStore.select(ThemeStore.selectors.cart);
+    return cart ? cart.total_price : parseInt(this.dataset.cartTotal, 10) || 0;
+  }
+
+  update() {
+    const handler = window.loyaltyHandler;
+    this.hidden = !handler?.loaded;
+    if (this.hidden) return;
+
+    const progress = handler.getTierProgress(this.getPendingAmount());
+    const tierName = progress.nextTier ? handler.getTierLabel(progress.nextTier) : '';
+
+    this.bar.hidden = !progress.nextTier;
+    this.bar.setAttribute('aria-valuenow', Math.round(progress.percent + progress.pendingPercent));
+    this.fill.style.width = `${progress.percent}%`;
+    this.pendingFill.style.width = `${progress.pendingPercent}%`;
+
+    if (!progress.nextTier) {
+      this.messageElement.textContent = this.dataset.maxTierText;
+    } else if (progress.unlocks) {
+      this.messageElement.textContent = this.dataset.unlocksText.replace('[tier]', tierName);
+    } else {
+      this.messageElement.textContent = this.dataset.spendText
+        .replace('[amount]', formatMoney(Math.ceil(progress.remaining * this.getCurrencyRate()) * 100))
+        .replace('[tier]', tierName);
+    }
+
+    this.renderBenefits(handler.nextTierConfig, tierName);
+    this.renderExpiry(handler.getNextExpiry());
+  }
+
+  /**
+   * @private
+   * @param {{points_per_dollar?: number, benefits?: string[]}|null} tierConfig - Next tier config from /balance
+   */
+  renderBenefits(tierConfig, tierName) {
+    const benefits = [...(tierConfig?.benefits || [])];
+    if (tierConfig?.points_per_dollar) {
+      // Points are earned per unit of the store currency, shown in the active currency
+      benefits.unshift(
+        this.dataset.rateText
+          .replace('[rate]', tierConfig.points_per_dollar)
+          .replace('[amount]', formatMoney(Math.round(100 * this.getCurrencyRate())))
+      );
+    }
+
+    this.benefitsElement.hidden = this.dataset.showBenefits === 'false' || !benefits.length;
+    if (this.benefitsElement.hidden) return;
+
+    this.benefitsElement.querySelector('[data-tier-benefits-heading]').textContent =
+      this.dataset.benefitsHeading.replace('[tier]', tierName);
+    this.benefitsElement.querySelector('[data-tier-benefits-list]').replaceChildren(
+      ...benefits.map((benefit) => {
+        const item = document.createElement('li');
+        item.textContent = benefit;
+        return item;
+      })
+    );
+  }
+
+  /**
+   * @private
+   * @param {{points: number, expires_at: string}|null} expiry
+   */
+  renderExpiry(expiry) {
+    this.expiryElement.hidden = this.dataset.showExpiry === 'false' || !expiry;
+    if (this.expiryElement.hidden) return;
+
+    const date = new Date(expiry.expires_at).toLocaleDateString(document.documentElement.lang || undefined, {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+    });
+    this.expiryElement.textContent = this.dataset.expiryText
+      .replace('[points]', window.loyaltyHandler.formatPoints(expiry.points))
+      .replace('[date]', date);
+  }
+}
+
+if (!customElements.get('loyalty-tier-progress')) {
+  customElements.define('loyalty-tier-progress', LoyaltyTierProgress);
+}
+
 // Initialize on DOM load
 document.addEventListener('DOMContentLoaded', () => {
   window.loyaltyHandler = new LoyaltyHandler();
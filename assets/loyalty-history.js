@@ -0,0 +1,300 @@
+/**
+ * Loyalty History
+ * Points ledger on the account page (snippets/account-loyalty-history.liquid).
+ * Pages through GET /history of the VPS app, filtered by entry type, and
+ * exports the filtered ledger to CSV.
+ *
+ * Entries that came from an order link to it when the order is one of the
+ * customer's orders rendered in the snippet; otherwise the order name from the
+ * backend is shown as text.
+ * Dependencies: vps-client.js
+ */
+class LoyaltyHistory extends HTMLElement {
+  constructor() {
+    super();
+    this.page = 1;
+    this.totalPages = 1;
+    this.type = '';
+    this.perPage = parseInt(this.dataset.perPage, 10) || 20;
+
+    this.rows = this.querySelector('[data-history-rows]');
+    this.table = this.querySelector('[data-history-table]');
+    this.statusElement = this.querySelector('[data-history-status]');
+    this.emptyElement = this.querySelector('[data-history-empty]');
+    this.pagination = this.querySelector('[data-history-pagination]');
+    this.pageLabel = this.querySelector('[data-history-page-label]');
+    this.filter = this.querySelector('[data-history-filter]');
+    this.exportButton = this.querySelector('[data-history-export]');
+
+    try {
+      this.orders = JSON.parse(this.querySelector('[data-history-orders]')?.textContent || '{}');
+    } catch (error) {
+      this.orders = {};
+    }
+  }
+
+  connectedCallback() {
+    this.filter.addEventListener('change', () => {
+      this.type = this.filter.value;
+      this.load(1);
+    });
+    this.pagination.addEventListener('click', (event) => {
+      const button = event.target.closest('[data-history-page]');
+      if (!button) return;
+      this.load(button.dataset.historyPage === 'next' ? this.page + 1 : this.page - 1);
+    });
+    this.exportButton.addEventListener('click', () => this.exportCsv());
+
+    this.load(1);
+  }
+
+  disconnectedCallback() {
+    this.abortController?.abort();
+  }
+
+  /**
+   * @param {number} page - 1-based page number
+   * @param {number} [perPage]
+   * @param {AbortSignal} [signal]
+   * @param {string} [type] - Entry type filter, '' for all
+   * @returns {Promise<{entries: Array<Object>, page: number, total_pages: number}>}
+   */
+  fetchPage(page, perPage = this.perPage, signal, type = this.type) {
+    const query = { page, per_page: perPage };
+    if (type) query.type = type;
+    return window.vpsClient.get('/history', { query, signal, consent: 'account' });
+  }
+
+  /**
+   * Load and render one page, cancelling the page still loading
+   * @param {number} page - 1-based page number
+   */
+  async load(page) {
+    this.abortController?.abort();
+    this.abortController = new AbortController();
+    const { signal } = this.abortController;
+
+    this.setBusy(true);
+    try {
+      const data = await this.fetchPage(Math.max(1, page), this.perPage, signal);
+      this.page = data.page || page;
+      this.totalPages = Math.max(1, data.total_pages || 1);
+      this.render(data.entries || []);
+      this.showStatus('');
+    } catch (error) {
+      if (signal.aborted) return;
+      if (error.code === 'consent_required') {
+        // Loads once the shopper consents; the loading message stays until then
+        window.themeConsent.whenAllowed('account').then(() => this.load(page));
+        return;
+      }
+      console.error('LoyaltyHistory: Error loading history:', error);
+      this.render([]);
+      this.emptyElement.hidden = true;
+      this.showStatus(this.dataset.errorText);
+    } finally {
+      if (!signal.aborted) this.setBusy(false);
+    }
+  }
+
+  /**
+   * @private
+   */
+  render(entries) {
+    this.rows.replaceChildren(...entries.map((entry) => this.renderRow(entry)));
+    this.table.hidden = entries.length === 0;
+    this.emptyElement.hidden = entries.length > 0;
+
+    this.pagination.hidden = this.totalPages <= 1;
+    this.pagination.querySelector('[data-history-page="prev"]').disabled = this.page <= 1;
+    this.pagination.querySelector('[data-history-page="next"]').disabled = this.page >= this.totalPages;
+    this.pageLabel.textContent = (this.dataset.pageText || 'Page [page] of [total]')
+      .replace('[page]', this.page)
+      .replace('[total]', this.totalPages);
+  }
+
+  /**
+   * @private
+   * @param {{type: string, points: number, date: string, order_id?: number, order_name?: string, description?: string}} entry
+   * @returns {HTMLTableRowElement}
+   */
+  renderRow(entry) {
+    const labels = [...this.table.querySelectorAll('thead th')].map((th) => th.textContent.trim());
+    const row = document.createElement('tr');
+    row.setAttribute('role', 'row');
+    row.className = `loyalty-history__row loyalty-history__row--${entry.type}`;
+
+    const cells = [this.formatDate(entry.date), this.describe(entry), this.renderOrder(entry), this.formatPoints(entry.points)];
+    cells.forEach((content, index) => {
+      const cell = document.createElement('td');
+      cell.setAttribute('role', 'cell');
+      cell.dataset.label = labels[index] || '';
+      cell.append(content);
+      row.append(cell);
+    });
+    row.lastChild.classList.add(entry.points < 0 ? 'loyalty-history__points--negative' : 'loyalty-history__points--positive');
+
+    return row;
+  }
+
+  /**
+   * @private
+   * @returns {Node|string}
+   */
+  renderOrder(entry) {
+    const order = entry.order_id ? this.orders[entry.order_id] : null;
+    if (!order) return entry.order_name || '–';
+
+    const link = document.createElement('a');
+    link.href = order.url;
+    link.textContent = order.name;
+    return link;
+  }
+
+  /**
+   * Fetch every page of the filter selected when the export started and
+   * download it as CSV
+   * @param {string} [type] - Entry type filter, the current filter by default
+   */
+  async exportCsv(type = this.type) {
+    if (this.exportButton.getAttribute('aria-disabled') === 'true') return;
+
+    const spinner = this.exportButton.querySelector('.loading__spinner');
+    this.exportButton.setAttribute('aria-disabled', 'true');
+    this.exportButton.classList.add('loading');
+    spinner?.classList.remove('hidden');
+
+    let waitingForConsent = false;
+    try {
+      const entries = [];
+      let page = 1;
+      let totalPages = 1;
+      do {
+        const data = await this.fetchPage(page, 100, undefined, type);
+        entries.push(...(data.entries || []));
+        totalPages = data.total_pages || 1;
+        page += 1;
+      } while (page <= totalPages);
+
+      const header = [
+        this.dataset.csvDate || 'Date',
+        this.dataset.csvType || 'Type',
+        this.dataset.csvDescription || 'Description',
+        this.dataset.csvOrder || 'Order',
+        this.dataset.csvPoints || 'Points',
+      ];
+      const lines = entries.map((entry) => [
+        entry.date,
+        this.getTypeLabel(entry.type),
+        this.describe(entry),
+        this.orders[entry.order_id]?.name || entry.order_name || '',
+        entry.points,
+      ]);
+      this.download(
+        [header, ...lines].map((line) => line.map((value) => this.escapeCsv(value)).join(',')).join('\r\n'),
+        `loyalty-history-${new Date().toISOString().slice(0, 10)}.csv`
+      );
+    } catch (error) {
+      if (error.code === 'consent_required') {
+        // Exports once the shopper consents; the button stays busy until then
+        waitingForConsent = true;
+        window.themeConsent.whenAllowed('account').then(() => {
+          this.exportButton.removeAttribute('aria-disabled');
+          this.exportCsv(type);
+        });
+        return;
+      }
+      console.error('LoyaltyHistory: Error exporting history:', error);
+      this.showStatus(this.dataset.errorText);
+    } finally {
+      if (!waitingForConsent) {
+        this.exportButton.removeAttribute('aria-disabled');
+        this.exportButton.classList.remove('loading');
+        spinner?.classList.add('hidden');
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  download(csv, filename) {
+    // BOM so spreadsheet apps read the file as UTF-8
+    const url = URL.createObjectURL(new Blob(['\uFEFF', csv], { type: 'text/csv;charset=utf-8' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.append(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  /**
+   * @private
+   */
+  escapeCsv(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * @private
+   * @returns {string} Backend description, or the translated type name
+   */
+  describe(entry) {
+    return entry.description || this.getTypeLabel(entry.type);
+  }
+
+  /**
+   * @private
+   * @returns {string} Translated type name from the data-type-* attributes
+   */
+  getTypeLabel(type) {
+    const typeKey = `type${type.charAt(0).toUpperCase()}${type.slice(1)}`;
+    return this.dataset[typeKey] || type;
+  }
+
+  /**
+   * @private
+   */
+  formatDate(date) {
+    const parsed = new Date(date);
+    if (Number.isNaN(parsed.getTime())) return date || '';
+    return parsed.toLocaleDateString(document.documentElement.lang || undefined, {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+    });
+  }
+
+  /**
+   * @private
+   */
+  formatPoints(points) {
+    return `${points > 0 ? '+' : ''}${Number(points).toLocaleString()}`;
+  }
+
+  /**
+   * @private
+   */
+  setBusy(busy) {
+    this.setAttribute('aria-busy', String(busy));
+    this.filter.disabled = busy;
+    this.pagination.querySelectorAll('button').forEach((button) => {
+      if (busy) button.disabled = true;
+    });
+  }
+
+  /**
+   * @private
+   */
+  showStatus(message) {
+    this.statusElement.textContent = message || '';
+    this.statusElement.hidden = !message;
+  }
+}
+
+if (!customElements.get('loyalty-history')) {
+  customElements.define('loyalty-history', LoyaltyHistory);
+}
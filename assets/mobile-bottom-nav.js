@@ -127,7 +127,7 @@ class MobileBottomNav extends HTMLElement {
     
     // Cart and favorites count updates
     document.addEventListener('cart:updated', this.updateCartCount.bind(this));
-    document.addEventListener('favorites:updated', this.updateFavoritesCount.bind(this));
+    window.addEventListener('favorites:changed', this.updateFavoritesCount.bind(this));
   }
 
   /**
@@ -526,7 +526,7 @@ class MobileBottomNav extends HTMLElement {
 
   /**
    * Update favorites count badge
-   * @param {CustomEvent} event - Favorites updated event
+   * @param {CustomEvent} event - favorites:changed event from FavoritesHandler
    */
   updateFavoritesCount(event) {
     const favoritesCount = event.detail?.count || 0;
@@ -0,0 +1,263 @@
+/**
+ * Product Card Loader
+ * Shared card renderer for favorites and recently viewed products.
+ * Handles requested in the same tick are batched into one Section Rendering API
+ * call (sections/card-product-batch.liquid, up to 20 handles per call) instead
+ * of one /products/{handle} request per card.
+ *
+ * Rendered cards are cached in sessionStorage for a short TTL. Handles the batch
+ * cannot resolve (renamed, deleted or unpublished products) are retried one by
+ * one on their product URL (card-product-standalone), which follows handle
+ * redirects. Only handles that return 404 there are announced with a window
+ * 'productCards:missing' event, so the owners of the stored handles
+ * (favorites-handler.js, recently-viewed.js) can drop them; a failed request
+ * never prunes anything.
+ */
+class ProductCardLoader {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.ttl=600000] - Cache lifetime in ms
+   * @param {number} [options.batchSize=20] - Handles per request, capped by the all_products limit
+   */
+  constructor(options = {}) {
+    this.ttl = options.ttl ?? 10 * 60 * 1000;
+    this.batchSize = Math.min(options.batchSize ?? 20, 20);
+    this.cachePrefix = 'productCard:';
+    this.queues = new Map(); // settings key -> {settings, handles: Map(handle -> [resolve, ...])}
+  }
+
+  /**
+   * Get the rendered card for a product
+   * @param {string} handle - Product handle
+   * @param {Object} [settings] - Card settings, see getParams()
+   * @returns {Promise<{html: string, variants: Array}|null>} Card HTML (.card-wrapper)
+   *   and current variants, or null when the product is missing or the request failed
+   */
+  get(handle, settings = {}) {
+    if (!handle) return Promise.resolve(null);
+
+    const key = this.getSettingsKey(settings);
+    const cached = this.readCache(key, handle);
+    if (cached) return Promise.resolve(cached);
+
+    return new Promise((resolve) => {
+      let queue = this.queues.get(key);
+      if (!queue) {
+        queue = { settings, handles: new Map() };
+        this.queues.set(key, queue);
+        setTimeout(() => this.flush(key), 0);
+      }
+      if (!queue.handles.has(handle)) queue.handles.set(handle, []);
+      queue.handles.get(handle).push(resolve);
+    });
+  }
+
+  /**
+   * Remove all cached cards, e.g. after the catalogue changed
+   */
+  clearCache() {
+    try {
+      Object.keys(sessionStorage)
+        .filter((key) => key.startsWith(this.cachePrefix))
+        .forEach((key) => sessionStorage.removeItem(key));
+    } catch (error) {
+      // sessionStorage unavailable
+    }
+  }
+
+  /**
+   * Render every handle queued under one settings key
+   * @private
+   */
+  async flush(key) {
+    const queue = this.queues.get(key);
+    this.queues.delete(key);
+    if (!queue) return;
+
+    const handles = Array.from(queue.handles.keys());
+    const batches = [];
+    for (let i = 0; i < handles.length; i += this.batchSize) {
+      batches.push(handles.slice(i, i + this.batchSize));
+    }
+
+    const notFound = [];
+    await Promise.all(
+      batches.map(async (batch) => {
+        const cards = await this.fetchBatch(batch, queue.settings);
+
+        await Promise.all(
+          batch.map(async (handle) => {
+            let card = cards ? cards.get(handle) : null;
+            if (card === undefined) {
+              const result = await this.fetchCard(handle, queue.settings);
+              card = result.card;
+              if (result.notFound) notFound.push(handle);
+            }
+
+            if (card) this.writeCache(key, handle, card);
+            queue.handles.get(handle).forEach((resolve) => resolve(card || null));
+          })
+        );
+      })
+    );
+
+    if (notFound.length) {
+      window.dispatchEvent(new CustomEvent('productCards:missing', { detail: { handles: notFound } }));
+    }
+  }
+
+  /**
+   * Render one batch of handles
+   * @private
+   * @returns {Promise<Map|null>} handle -> card for the handles the batch resolved;
+   *   null when the request failed
+   */
+  async fetchBatch(handles, settings) {
+    try {
+      const params = this.getParams(settings);
+      params.set('q', handles.join(','));
+      params.set('type', 'product');
+      params.set('section_id', 'card-product-batch');
+
+      const response = await fetch(`${window.Shopify?.routes?.root || '/'}search?${params.toString()}`, {
+        method: 'GET',
+        headers: { Accept: 'text/html' },
+      });
+      if (!response.ok) return null;
+
+      const doc = new DOMParser().parseFromString(await response.text(), 'text/html');
+      if (!doc.querySelector('[data-product-card-batch]')) return null;
+
+      const cards = new Map();
+      doc.querySelectorAll('[data-product-card]').forEach((element) => {
+        const card = this.readCard(element, element.dataset.productCard);
+        if (card) cards.set(element.dataset.productCard, card);
+      });
+      return cards;
+    } catch (error) {
+      console.error('ProductCardLoader: Error rendering cards:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Render one card on its product URL, for handles the batch could not resolve
+   * @private
+   * @returns {Promise<{card: Object|null, notFound: boolean}>} notFound only for a 404
+   */
+  async fetchCard(handle, settings) {
+    try {
+      const params = this.getParams(settings);
+      params.set('section_id', 'card-product-standalone');
+
+      const root = window.Shopify?.routes?.root || '/';
+      const response = await fetch(`${root}products/${encodeURIComponent(handle)}?${params.toString()}`, {
+        method: 'GET',
+        headers: { Accept: 'text/html' },
+      });
+      if (!response.ok) return { card: null, notFound: response.status === 404 };
+
+      const doc = new DOMParser().parseFromString(await response.text(), 'text/html');
+      return { card: this.readCard(doc, handle), notFound: false };
+    } catch (error) {
+      console.error(`ProductCardLoader: Error rendering card for ${handle}:`, error);
+      return { card: null, notFound: false };
+    }
+  }
+
+  /**
+   * @private
+   * @param {ParentNode} element - Rendered card markup
+   * @returns {{html: string, variants: Array}|null}
+   */
+  readCard(element, handle) {
+    const wrapper = element.querySelector('.card-wrapper');
+    if (!wrapper) return null;
+
+    let variants = [];
+    const variantsData = element.querySelector('[data-product-variants]');
+    if (variantsData) {
+      try {
+        variants = JSON.parse(variantsData.textContent);
+      } catch (error) {
+        console.warn(`ProductCardLoader: Could not read variants for ${handle}:`, error);
+      }
+    }
+
+    return { html: wrapper.outerHTML, variants };
+  }
+
+  /**
+   * Card settings as query parameters, read by card-product-batch.liquid and
+   * card-product-standalone.liquid
+   * @private
+   * @param {Object} settings
+   * @param {boolean} [settings.showVendor]
+   * @param {boolean} [settings.showRating]
+   * @param {boolean} [settings.showSecondaryImage]
+   * @param {string} [settings.imageRatio='square']
+   * @param {string} [settings.imageShape='default']
+   * @param {string} [settings.quickAdd='standard']
+   * @param {string} [settings.sectionId] - Section the cards are shown in, used in element IDs
+   * @returns {URLSearchParams}
+   */
+  getParams(settings) {
+    const params = new URLSearchParams({
+      show_vendor: settings.showVendor ? 'true' : 'false',
+      show_rating: settings.showRating ? 'true' : 'false',
+      show_secondary_image: settings.showSecondaryImage ? 'true' : 'false',
+      image_ratio: settings.imageRatio || 'square',
+      image_shape: settings.imageShape || 'default',
+      quick_add: settings.quickAdd || 'standard',
+    });
+    if (settings.sectionId) params.set('section_id_param', settings.sectionId);
+    return params;
+  }
+
+  /**
+   * @private
+   */
+  getSettingsKey(settings) {
+    return this.getParams(settings).toString();
+  }
+
+  /**
+   * @private
+   */
+  readCache(key, handle) {
+    try {
+      const stored = sessionStorage.getItem(`${this.cachePrefix}${key}:${handle}`);
+      if (!stored) return null;
+
+      const entry = JSON.parse(stored);
+      if (Date.now() - entry.cachedAt > this.ttl) {
+        sessionStorage.removeItem(`${this.cachePrefix}${key}:${handle}`);
+        return null;
+      }
+      return { html: entry.html, variants: entry.variants || [] };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Cache a card; when storage is full, drop all cached cards and try once more
+   * @private
+   */
+  writeCache(key, handle, card) {
+    const value = JSON.stringify({ ...card, cachedAt: Date.now() });
+    try {
+      sessionStorage.setItem(`${this.cachePrefix}${key}:${handle}`, value);
+    } catch (error) {
+      this.clearCache();
+      try {
+        sessionStorage.setItem(`${this.cachePrefix}${key}:${handle}`, value);
+      } catch (retryError) {
+        // Cache is an optimisation only
+      }
+    }
+  }
+}
+
+window.ProductCardLoader = ProductCardLoader;
+window.productCardLoader = new ProductCardLoader();
@@ -22,7 +22,9 @@ document.addEventListener('DOMContentLoaded', function () {
 
         favoriteBtn.addEventListener('click', function () {
             if (!productId) return;
-            handler.toggleFavorite(productId);
+            // A long press opened the list picker (favorites-handler.js) instead
+            if (handler.wasLongPressed(favoriteBtn)) return;
+            handler.toggleFavorite(productId, favoriteBtn);
             updateFavoriteBtnState();
         });
 
@@ -31,6 +33,21 @@ document.addEventListener('DOMContentLoaded', function () {
 
         // Listen for changes from other tabs/windows
         window.addEventListener('favorites:changed', updateFavoriteBtnState);
+
+        // Keep the selected variant and its price on the button, so a new
+        // favorite records what the shopper was looking at
+        if (typeof subscribe === 'function') {
+            const productInfo = favoriteBtn.closest('product-info');
+            subscribe(PUB_SUB_EVENTS.variantChange, function (event) {
+                const variant = event.data && event.data.variant;
+                if (!variant) return;
+                // Quick-add modals on the same page publish their own changes
+                if (productInfo && event.data.sectionId !== productInfo.sectionId) return;
+                favoriteBtn.dataset.variantId = variant.id;
+                favoriteBtn.dataset.price = variant.price;
+                favoriteBtn.dataset.available = variant.available;
+            });
+        }
     }
 
     // Hide legacy .cad_save button if present
@@ -1,12 +1,13 @@
 /**
  * Recently Viewed Products Handler
- * Tracks product page visits in localStorage and renders cards
- * via Section Rendering API (card-product-standalone) for full
- * feature parity with universal card-product snippet.
+ * Tracks product page visits in the recentlyViewed slice of theme-store.js
+ * (persisted in localStorage) and renders cards
+ * via Section Rendering API (product-card-loader.js, card-product-batch)
+ * for full feature parity with universal card-product snippet.
+ * Views are only tracked once the shopper allows preferences storage (consent.js).
  */
 
-const STORAGE_KEY = 'recentlyViewedProducts';
-const MAX_PRODUCTS = 20;
+const MAX_PRODUCTS = ThemeStore.MAX_RECENTLY_VIEWED;
 
 class RecentlyViewedProducts extends HTMLElement {
   constructor() {
@@ -15,6 +16,7 @@ class RecentlyViewedProducts extends HTMLElement {
     this.productsToShow = parseInt(this.dataset.productsToShow) || 4;
     this.excludeCurrent = this.dataset.excludeCurrent === 'true';
     this.currentProductId = this.dataset.currentProductId;
+    this.groupByTime = this.dataset.groupByTime === 'true';
 
     this.grid = this.querySelector('[data-recently-viewed-grid]');
     this.emptyMessage = this.querySelector('[data-recently-viewed-empty]');
@@ -23,7 +25,7 @@ class RecentlyViewedProducts extends HTMLElement {
   }
 
   connectedCallback() {
-    this.trackCurrentProduct();
+    window.themeConsent.whenAllowed('recentlyViewed').then(() => this.trackCurrentProduct());
     this.bindEvents();
 
     // Lazy-load cards when section approaches viewport
@@ -37,6 +39,12 @@ class RecentlyViewedProducts extends HTMLElement {
       { rootMargin: '200px' }
     );
     observer.observe(this);
+
+    // Follow changes from other tabs and from clearing or pruning the history
+    // A variant change on the product page only re-renders when shown cards are affected
+    this.storeUnsubscriber = window.themeStore.subscribe('recentlyViewed', () => {
+      if (this.hasRendered && this.getRenderSignature() !== this.renderSignature) this.renderProducts();
+    });
   }
 
   bindEvents() {
@@ -50,30 +58,21 @@ class RecentlyViewedProducts extends HTMLElement {
     if (this.clearButton && this.boundClearHistory) {
       this.clearButton.removeEventListener('click', this.boundClearHistory);
     }
+    if (this.storeUnsubscriber) this.storeUnsubscriber();
   }
 
   /**
-   * Get stored products from localStorage
+   * Get stored products from the theme store
    */
   getStoredProducts() {
-    try {
-      const stored = localStorage.getItem(STORAGE_KEY);
-      return stored ? JSON.parse(stored) : [];
-    } catch (e) {
-      console.warn('RecentlyViewed: Error reading localStorage', e);
-      return [];
-    }
+    return window.themeStore.select(ThemeStore.selectors.recentlyViewed);
   }
 
   /**
-   * Save products to localStorage
+   * Save products to the theme store, which persists them
    */
   saveProducts(products) {
-    try {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(products));
-    } catch (e) {
-      console.warn('RecentlyViewed: Error writing to localStorage', e);
-    }
+    window.themeStore.setState('recentlyViewed', products);
   }
 
   /**
@@ -86,7 +85,7 @@ class RecentlyViewedProducts extends HTMLElement {
     let products = this.getStoredProducts();
 
     // Remove if already exists (to move to front)
-    products = products.filter((p) => p.id !== productData.id);
+    products = products.filter((p) => String(p.id) !== String(productData.id) && p.handle !== productData.handle);
 
     // Add to front
     products.unshift(productData);
@@ -100,22 +99,28 @@ class RecentlyViewedProducts extends HTMLElement {
   }
 
   /**
-   * Extract product data from the current page
+   * Extract product data from the current page, including the selected variant.
+   * price is the variant price at view time (cents).
    */
   getProductDataFromPage() {
     const productJson = document.querySelector('[data-recently-viewed-product-data]');
     if (productJson) {
       try {
         const data = JSON.parse(productJson.textContent);
+        const variant = data.variant || {};
         return {
           id: data.id,
           handle: data.handle,
           title: data.title,
-          url: data.url || `/products/${data.handle}`,
+          url: variant.id ? `${data.url}?variant=${variant.id}` : data.url || `/products/${data.handle}`,
           vendor: data.vendor || '',
-          price: data.price,
+          price: variant.price ?? data.price,
           image: data.image || '',
           secondaryImage: data.secondaryImage || null,
+          variantId: variant.id || null,
+          variantTitle: variant.title || '',
+          options: getVariantOptions(variant.options, data.optionNames),
+          available: variant.available,
           timestamp: Date.now(),
         };
       } catch (e) {
@@ -131,15 +136,18 @@ class RecentlyViewedProducts extends HTMLElement {
     const title = document.querySelector('meta[property="og:title"]')?.content || '';
     const image = document.querySelector('meta[property="og:image"]')?.content || '';
 
+    const variantId = parseInt(new URLSearchParams(window.location.search).get('variant'), 10) || null;
+
     return {
       id: this.currentProductId || handle,
       handle: handle,
       title: title,
-      url: `/products/${handle}`,
+      url: variantId ? `/products/${handle}?variant=${variantId}` : `/products/${handle}`,
       vendor: '',
       price: 0,
       image: image,
       secondaryImage: null,
+      variantId: variantId,
       timestamp: Date.now(),
     };
   }
@@ -149,23 +157,15 @@ class RecentlyViewedProducts extends HTMLElement {
    */
   async renderProducts() {
     if (!this.grid) return;
+    this.hasRendered = true;
+    this.renderSignature = this.getRenderSignature();
+    const renderId = (this.renderId = (this.renderId || 0) + 1);
 
-    let products = this.getStoredProducts();
-
-    // Exclude current product if configured
-    if (this.excludeCurrent && this.currentProductId) {
-      products = products.filter((p) => String(p.id) !== String(this.currentProductId));
-    }
-
-    // Limit to configured number
-    products = products.slice(0, this.productsToShow);
+    const products = this.getDisplayProducts();
 
     // Show empty message if no products
     if (products.length === 0) {
-      this.grid.innerHTML = '';
-      if (this.emptyMessage) this.emptyMessage.hidden = false;
-      if (this.clearButton) this.clearButton.hidden = true;
-      if (this.sliderButtons) this.sliderButtons.hidden = true;
+      this.showEmpty();
       return;
     }
 
@@ -173,27 +173,51 @@ class RecentlyViewedProducts extends HTMLElement {
     if (this.emptyMessage) this.emptyMessage.hidden = true;
     if (this.clearButton) this.clearButton.hidden = false;
 
-    // Fetch all cards in parallel via Section Rendering API
+    // Fetch the cards in history order, only as many as are still missing.
+    // Unavailable products are skipped and the next entries fetched instead,
+    // until the configured number is filled or the history runs out.
     this.grid.innerHTML = '';
     this.setAttribute('data-loading', 'true');
 
-    const fetchPromises = products.map((product, index) =>
-      this.fetchProductCard(product.handle, index)
-    );
+    const visible = [];
+    let next = 0;
+    while (visible.length < this.productsToShow && next < products.length) {
+      const batch = products.slice(next, next + this.productsToShow - visible.length);
+      next += batch.length;
 
-    const results = await Promise.allSettled(fetchPromises);
+      const results = await Promise.allSettled(batch.map((product) => this.fetchProductCard(product)));
+      // A newer render started while the cards were loading
+      if (renderId !== this.renderId) return;
 
-    // Append successful cards in order
-    results.forEach((result) => {
-      if (result.status === 'fulfilled' && result.value) {
-        this.grid.appendChild(result.value);
-      }
-    });
+      batch.forEach((product, index) => {
+        const li = results[index].status === 'fulfilled' ? results[index].value : null;
+        if (li) visible.push({ product, li });
+      });
+    }
 
     this.removeAttribute('data-loading');
 
+    if (visible.length === 0) {
+      this.showEmpty();
+      return;
+    }
+
+    // Append cards in order, with a heading before each time group
+    let currentGroup = null;
+    visible.forEach(({ product, li }, index) => {
+      if (this.groupByTime) {
+        const group = this.getTimeGroup(product.timestamp);
+        if (group !== currentGroup) {
+          currentGroup = group;
+          this.grid.appendChild(this.createGroupHeading(group));
+        }
+      }
+      li.id = `Slide-${this.sectionId}-${index + 1}`;
+      this.grid.appendChild(li);
+    });
+
     // Update slider
-    const renderedCount = this.grid.children.length;
+    const renderedCount = visible.length;
     if (this.sliderButtons) {
       this.sliderButtons.hidden = renderedCount <= 1;
       const totalSpan = this.sliderButtons.querySelector('.slider-counter--total');
@@ -208,29 +232,117 @@ class RecentlyViewedProducts extends HTMLElement {
   }
 
   /**
-   * Fetch a single product card via Section Rendering API
+   * Stored products minus the current product, if configured
+   * @private
    */
-  async fetchProductCard(handle, index) {
-    try {
-      const sectionId = 'card-product-standalone';
-      const response = await fetch(`/products/${handle}?section_id=${sectionId}`);
+  getDisplayProducts() {
+    const products = this.getStoredProducts();
+    if (this.excludeCurrent && this.currentProductId) {
+      return products.filter((p) => String(p.id) !== String(this.currentProductId));
+    }
+    return products;
+  }
 
-      if (!response.ok) return null;
+  /**
+   * @private
+   * @returns {string} What the rendered cards depend on
+   */
+  getRenderSignature() {
+    return JSON.stringify(this.getDisplayProducts().map((p) => [p.handle, p.variantId, p.price]));
+  }
 
-      const html = await response.text();
-      const temp = document.createElement('div');
-      temp.innerHTML = html;
+  /**
+   * @private
+   */
+  showEmpty() {
+    this.grid.innerHTML = '';
+    if (this.emptyMessage) this.emptyMessage.hidden = false;
+    if (this.clearButton) this.clearButton.hidden = this.getStoredProducts().length === 0;
+    if (this.sliderButtons) this.sliderButtons.hidden = true;
+  }
 
-      // Wrap in <li> with slider classes
-      const li = document.createElement('li');
-      li.className = 'grid__item slider__slide';
-      li.id = `Slide-${this.sectionId}-${index + 1}`;
-      li.innerHTML = temp.innerHTML;
-      return li;
-    } catch (e) {
-      console.warn(`RecentlyViewed: Failed to fetch card for "${handle}"`, e);
-      return null;
+  /**
+   * Fetch a single product card through the shared card loader, which
+   * batches the cards of one render into a single request.
+   * Returns null for products that are no longer available in any variant,
+   * or that could not be rendered; only products whose page returned 404
+   * are dropped from the history (see productCards:missing below).
+   * @param {Object} product - Stored history entry
+   * @returns {Promise<HTMLElement|null>} Slide, or null when the card is hidden
+   */
+  async fetchProductCard(product) {
+    const card = await window.productCardLoader.get(product.handle, { sectionId: this.sectionId });
+    if (!card) return null;
+
+    const variants = card.variants || [];
+    if (variants.length && !variants.some((variant) => variant.available)) return null;
+
+    // Wrap in <li> with slider classes
+    const li = document.createElement('li');
+    li.className = 'grid__item slider__slide';
+    li.innerHTML = card.html;
+    this.decorateCard(li, product, variants);
+    return li;
+  }
+
+  /**
+   * Link the card to the viewed variant while it is in stock, and note price
+   * changes since the view
+   * @private
+   */
+  decorateCard(li, product, variants) {
+    const viewed = variants.find((variant) => variant.id === product.variantId);
+
+    if (viewed && viewed.available) {
+      li.querySelectorAll('a[href*="/products/"]').forEach((link) => {
+        const url = new URL(link.getAttribute('href'), window.location.origin);
+        url.searchParams.set('variant', viewed.id);
+        link.setAttribute('href', `${url.pathname}${url.search}${url.hash}`);
+      });
     }
+
+    // Entries without a variant stored the lowest product price
+    const available = variants.filter((variant) => variant.available);
+    const currentPrice = viewed ? viewed.price : Math.min(...available.map((variant) => variant.price));
+    const change = product.price > 0 && Number.isFinite(currentPrice) ? currentPrice - product.price : 0;
+    const template = change < 0 ? this.dataset.priceDroppedText : this.dataset.priceIncreasedText;
+    if (!change || !template) return;
+
+    const note = document.createElement('p');
+    note.className = `recently-viewed__price-change recently-viewed__price-change--${change < 0 ? 'down' : 'up'} caption`;
+    note.textContent = template.replace('[amount]', formatMoney(Math.abs(change)));
+    li.appendChild(note);
+  }
+
+  /**
+   * @private
+   * @param {number} timestamp - Time of the view in ms
+   * @returns {string} 'today', 'week' or 'earlier'
+   */
+  getTimeGroup(timestamp) {
+    const startOfToday = new Date().setHours(0, 0, 0, 0);
+    if (timestamp >= startOfToday) return 'today';
+    if (timestamp >= startOfToday - 6 * 24 * 60 * 60 * 1000) return 'week';
+    return 'earlier';
+  }
+
+  /**
+   * @private
+   */
+  createGroupHeading(group) {
+    const texts = {
+      today: this.dataset.groupTodayText || 'Today',
+      week: this.dataset.groupWeekText || 'This week',
+      earlier: this.dataset.groupEarlierText || 'Earlier',
+    };
+    const li = document.createElement('li');
+    const heading = document.createElement('h3');
+
+    li.className = 'recently-viewed__group-heading';
+    heading.className = 'h5';
+    heading.textContent = texts[group];
+    li.appendChild(heading);
+    return li;
   }
 
   /**
@@ -238,7 +350,6 @@ class RecentlyViewedProducts extends HTMLElement {
    */
   clearHistory() {
     this.saveProducts([]);
-    this.renderProducts();
 
     document.dispatchEvent(
       new CustomEvent('recentlyViewed:cleared', {
@@ -253,15 +364,79 @@ if (!customElements.get('recently-viewed-products')) {
   customElements.define('recently-viewed-products', RecentlyViewedProducts);
 }
 
+/**
+ * @param {Array} values - Selected option values, e.g. ['Red', 'M']
+ * @param {Array} names - Product option names, e.g. ['Color', 'Size']
+ * @returns {Array} [{name, value}, ...]
+ */
+function getVariantOptions(values, names) {
+  if (!Array.isArray(values)) return [];
+  return values.map((value, index) => ({ name: (names && names[index]) || '', value }));
+}
+
+/**
+ * Record the variant picked on the product page, so the card links back to it
+ */
+subscribe(PUB_SUB_EVENTS.variantChange, (event) => {
+  const variant = event.data && event.data.variant;
+  const productInfo = document.querySelector('product-info[id^="MainProduct-"]');
+  // Quick-add modals on the same page publish their own changes
+  if (!variant || !productInfo || event.data.sectionId !== productInfo.dataset.section) return;
+  if (!window.themeConsent.allows('recentlyViewed')) return;
+
+  const products = window.themeStore.select(ThemeStore.selectors.recentlyViewed);
+  const productId = productInfo.dataset.productId;
+  const handle = (productInfo.dataset.url || '').split('/products/')[1];
+  const index = products.findIndex((p) => String(p.id) === productId || p.handle === handle);
+  if (index === -1) return;
+
+  let optionNames = [];
+  try {
+    const productJson = document.querySelector('[data-recently-viewed-product-data]');
+    optionNames = productJson ? JSON.parse(productJson.textContent).optionNames : [];
+  } catch (e) {
+    // Option names are optional
+  }
+
+  const entry = products[index];
+  const updated = {
+    ...entry,
+    id: parseInt(productId, 10) || entry.id,
+    url: `${productInfo.dataset.url || `/products/${entry.handle}`}?variant=${variant.id}`,
+    price: variant.price,
+    variantId: variant.id,
+    variantTitle: variant.title || '',
+    options: getVariantOptions(variant.options, optionNames),
+    available: variant.available,
+    timestamp: Date.now(),
+  };
+
+  window.themeStore.setState('recentlyViewed', [updated, ...products.filter((p, i) => i !== index)]);
+});
+
+/**
+ * Forget products whose page returned 404 to the card loader (deleted or unpublished)
+ */
+window.addEventListener('productCards:missing', (event) => {
+  const missing = event.detail.handles;
+  const products = window.themeStore.select(ThemeStore.selectors.recentlyViewed);
+  const remaining = products.filter((p) => !missing.includes(p.handle));
+  if (remaining.length !== products.length) {
+    window.themeStore.setState('recentlyViewed', remaining);
+  }
+});
+
 /**
  * Track product views on page load (for pages without the section)
  */
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
   if (document.querySelector('recently-viewed-products')) return;
 
   const isProductPage = window.location.pathname.includes('/products/');
   if (!isProductPage) return;
 
+  await window.themeConsent.whenAllowed('recentlyViewed');
+
   const productIdMatch = window.location.pathname.match(/\/products\/([^/?#]+)/);
   if (!productIdMatch) return;
 
@@ -271,31 +446,28 @@ document.addEventListener('DOMContentLoaded', () => {
 
   const mainProduct = document.querySelector('[data-product-id]');
   const productId = mainProduct?.dataset.productId || handle;
-
-  try {
-    const stored = localStorage.getItem(STORAGE_KEY);
-    let products = stored ? JSON.parse(stored) : [];
-
-    products = products.filter((p) => String(p.id) !== String(productId) && p.handle !== handle);
-
-    products.unshift({
-      id: productId,
-      handle: handle,
-      title: title,
-      url: `/products/${handle}`,
-      vendor: '',
-      price: 0,
-      image: image,
-      secondaryImage: null,
-      timestamp: Date.now(),
-    });
-
-    if (products.length > MAX_PRODUCTS) {
-      products = products.slice(0, MAX_PRODUCTS);
-    }
-
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(products));
-  } catch (e) {
-    console.warn('RecentlyViewed: Error tracking product', e);
+  const variantId = parseInt(new URLSearchParams(window.location.search).get('variant'), 10) || null;
+
+  let products = window.themeStore
+    .select(ThemeStore.selectors.recentlyViewed)
+    .filter((p) => String(p.id) !== String(productId) && p.handle !== handle);
+
+  products.unshift({
+    id: productId,
+    handle: handle,
+    title: title,
+    url: variantId ? `/products/${handle}?variant=${variantId}` : `/products/${handle}`,
+    vendor: '',
+    price: 0,
+    image: image,
+    secondaryImage: null,
+    variantId: variantId,
+    timestamp: Date.now(),
+  });
+
+  if (products.length > MAX_PRODUCTS) {
+    products = products.slice(0, MAX_PRODUCTS);
   }
+
+  window.themeStore.setState('recentlyViewed', products);
 });
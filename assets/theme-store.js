@@ -0,0 +1,395 @@
+/**
+ * Theme Store
+ * One observable client-side state for the cart, favorites and recently viewed
+ * products, built on pubsub.js. Every change to a slice is published as
+ * `store:{slice}`; components subscribe here instead of re-reading
+ * localStorage or fetching /cart.js themselves.
+ *
+ * - cart: the /cart.js response. fetchCart() shares one request between all
+ *   callers. Full carts published with PUB_SUB_EVENTS.cartUpdate are taken as
+ *   they are; partial payloads (a single added line) trigger one refetch.
+ * - favorites: written by favorites-handler.js, which still owns loading and sync.
+ * - recentlyViewed: persisted in localStorage (recentlyViewedProducts) and
+ *   updated when another tab changes it. For logged-in customers the history
+ *   is also saved to the account through the VPS app (custom.recently_viewed),
+ *   so every device shows the same list; on login the guest history is merged in.
+ *   The history is only stored and synced with preferences consent (consent.js);
+ *   without it the slice stays empty.
+ *
+ * Read state with themeStore.select(ThemeStore.selectors.*).
+ * Dependencies: constants.js, pubsub.js, consent.js, vps-client.js (account sync only)
+ */
+
+/**
+ * @typedef {Object} CartLineItem
+ * @property {number} id - Variant ID
+ * @property {number} product_id
+ * @property {string} key
+ * @property {number} quantity
+ * @property {number} final_line_price - Cents
+ */
+
+/**
+ * @typedef {Object} Cart
+ * @property {number} item_count
+ * @property {number} total_price - Cents
+ * @property {string} currency
+ * @property {CartLineItem[]} items
+ * @property {{code: string, applicable: boolean}[]} [discount_codes]
+ */
+
+/**
+ * @typedef {Object} FavoriteEntry
+ * @property {number} id - Product ID
+ * @property {string} handle
+ * @property {string[]} lists - List IDs, 'default' included
+ * @property {number} [updatedAt]
+ * @property {number} [variantId]
+ * @property {number} [price] - Cents, when the product was saved
+ * @property {boolean} [available]
+ * @property {number} [addedAt]
+ */
+
+/**
+ * @typedef {Object} FavoriteList
+ * @property {string} id
+ * @property {string} name
+ * @property {number} count
+ */
+
+/**
+ * @typedef {Object} RecentlyViewedProduct
+ * @property {number|string} id - Product ID, or the handle when it was unknown
+ * @property {string} handle
+ * @property {string} title
+ * @property {string} url
+ * @property {number} timestamp
+ */
+
+/**
+ * @typedef {Object} StoreState
+ * @property {Cart|null} cart - null until the first fetch
+ * @property {{ready: boolean, items: FavoriteEntry[], lists: FavoriteList[]}} favorites
+ * @property {RecentlyViewedProduct[]} recentlyViewed
+ */
+
+class ThemeStore {
+  constructor() {
+    // Logged-in history is cached per customer, so a shared browser never shows
+    // one account's history to the next shopper
+    this.customerId = window.Shopify?.customerId || null;
+    this.guestRecentlyViewedKey = 'recentlyViewedProducts';
+    this.recentlyViewedKey = this.customerId ? `recentlyViewedProducts:${this.customerId}` : this.guestRecentlyViewedKey;
+    this.recentlyViewedSyncDelay = 2000; // ms, batches quick successive views into one request
+    this.recentlyViewedSyncTimer = null;
+    this.cartMaxAge = 300; // ms a fetched cart is reused without a new request
+    this.cartFetchedAt = 0;
+    this.cartRequest = null;
+    this.cartFollowUp = null;
+
+    /** @type {StoreState} */
+    this.state = {
+      cart: null,
+      favorites: { ready: false, items: [], lists: [] },
+      recentlyViewed: this.loadRecentlyViewed(),
+    };
+
+    subscribe(PUB_SUB_EVENTS.cartUpdate, (event) => {
+      if (ThemeStore.isFullCart(event?.cartData)) {
+        this.setCart(event.cartData);
+      } else {
+        this.fetchCart({ force: true });
+      }
+    });
+
+    window.addEventListener('storage', (event) => {
+      if (event.key !== this.recentlyViewedKey) return;
+      this.setState('recentlyViewed', this.readStorage(this.recentlyViewedKey, []), { persist: false });
+    });
+
+    if (this.customerId) {
+      window.addEventListener('online', () => {
+        if (this.recentlyViewedDirty) this.syncRecentlyViewed();
+      });
+    }
+
+    window.themeConsent.ready.then(() => this.applyRecentlyViewedConsent());
+    subscribe(PUB_SUB_EVENTS.consentChange, () => this.applyRecentlyViewedConsent());
+  }
+
+  /**
+   * Merge histories by product ID, keeping the most recent view of each product
+   * @param {...RecentlyViewedProduct[]} histories
+   * @returns {RecentlyViewedProduct[]} Most recent first, at most MAX_RECENTLY_VIEWED
+   */
+  static mergeRecentlyViewed(...histories) {
+    const byId = new Map();
+    histories.flat().forEach((product) => {
+      if (!product || !product.handle) return;
+
+      const key = String(product.id ?? product.handle);
+      const existing = byId.get(key);
+      if (!existing || (product.timestamp || 0) > (existing.timestamp || 0)) {
+        byId.set(key, product);
+      }
+    });
+
+    // Entries tracked before the product ID was known use the handle as ID;
+    // keep the newest view but take the real ID from the other entry
+    const byHandle = new Map();
+    Array.from(byId.values())
+      .sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0))
+      .forEach((product) => {
+        const newer = byHandle.get(product.handle);
+        if (!newer) {
+          byHandle.set(product.handle, product);
+        } else if (String(newer.id) === newer.handle && String(product.id) !== product.handle) {
+          byHandle.set(product.handle, { ...newer, id: product.id });
+        }
+      });
+
+    return Array.from(byHandle.values()).slice(0, ThemeStore.MAX_RECENTLY_VIEWED);
+  }
+
+  /**
+   * @param {*} data - cartData from a cartUpdate event
+   * @returns {boolean} Whether data is a complete /cart.js-shaped cart
+   */
+  static isFullCart(data) {
+    return !!data && Array.isArray(data.items) && typeof data.item_count === 'number';
+  }
+
+  /**
+   * @param {'cart'|'favorites'|'recentlyViewed'} slice
+   * @returns {*} Current value of the slice
+   */
+  getState(slice) {
+    return this.state[slice];
+  }
+
+  /**
+   * @param {Function} selector - One of ThemeStore.selectors, or any (state, ...args) => value
+   * @param {...*} args - Extra selector arguments, e.g. a product ID
+   * @returns {*}
+   */
+  select(selector, ...args) {
+    return selector(this.state, ...args);
+  }
+
+  /**
+   * Replace a slice and notify its subscribers
+   * @param {'cart'|'favorites'|'recentlyViewed'} slice
+   * @param {*} value - New value; treat slices as immutable and pass a new object
+   * @param {Object} [options]
+   * @param {boolean} [options.persist=true] - Write persisted slices to storage
+   */
+  setState(slice, value, { persist = true } = {}) {
+    if (this.state[slice] === value) return;
+
+    this.state = { ...this.state, [slice]: value };
+    if (slice === 'recentlyViewed' && persist && window.themeConsent.allows('recentlyViewed')) {
+      this.writeStorage(this.recentlyViewedKey, value);
+      if (this.customerId) this.scheduleRecentlyViewedSync();
+    }
+    publish(`store:${slice}`, { value });
+  }
+
+  /**
+   * @param {'cart'|'favorites'|'recentlyViewed'} slice
+   * @param {Function} callback - Called with (value, state) after every change
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(slice, callback) {
+    return subscribe(`store:${slice}`, ({ value }) => callback(value, this.state));
+  }
+
+  /**
+   * Get the cart, sharing one /cart.js request between all callers
+   * @param {Object} [options]
+   * @param {boolean} [options.force=false] - Skip the short-lived cache; when a request
+   *   is already running, one more is made after it so the result reflects recent changes
+   * @returns {Promise<Cart|null>} The cart, or the last known cart if the request failed
+   */
+  fetchCart({ force = false } = {}) {
+    if (this.cartRequest) {
+      if (!force) return this.cartRequest;
+
+      if (!this.cartFollowUp) {
+        this.cartFollowUp = this.cartRequest.then(() => {
+          this.cartFollowUp = null;
+          return this.fetchCart({ force: true });
+        });
+      }
+      return this.cartFollowUp;
+    }
+
+    if (!force && this.state.cart && Date.now() - this.cartFetchedAt < this.cartMaxAge) {
+      return Promise.resolve(this.state.cart);
+    }
+
+    this.cartRequest = fetch(`${window.routes?.cart_url || '/cart'}.js`, { credentials: 'same-origin' })
+      .then((response) => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.json();
+      })
+      .then((cart) => {
+        this.setCart(cart);
+        return cart;
+      })
+      .catch((error) => {
+        console.error('ThemeStore: Error fetching cart:', error);
+        return this.state.cart;
+      })
+      .finally(() => {
+        this.cartRequest = null;
+      });
+
+    return this.cartRequest;
+  }
+
+  /**
+   * @param {Cart} cart - Complete /cart.js-shaped cart
+   */
+  setCart(cart) {
+    this.cartFetchedAt = Date.now();
+    this.setState('cart', cart);
+  }
+
+  /**
+   * Initial history: the device cache, merged for logged-in customers with the
+   * account history rendered into the page and any guest history from before login.
+   * Nothing is written until consent is known (applyRecentlyViewedConsent).
+   * @private
+   * @returns {RecentlyViewedProduct[]}
+   */
+  loadRecentlyViewed() {
+    const local = this.readStorage(this.recentlyViewedKey, []);
+    if (!this.customerId) return local;
+
+    const account = Array.isArray(window.Shopify.recentlyViewed?.products) ? window.Shopify.recentlyViewed.products : [];
+    const guest = this.readStorage(this.guestRecentlyViewedKey, []);
+    const merged = ThemeStore.mergeRecentlyViewed(account, local, guest);
+
+    // Views from this device or from the guest session that the account does not have yet
+    this.recentlyViewedDirty = JSON.stringify(merged) !== JSON.stringify(account);
+    return merged;
+  }
+
+  /**
+   * Store and sync the history once consent allows it, or empty it when it does not.
+   * consent.js has already removed the stored copies in that case.
+   * @private
+   */
+  applyRecentlyViewedConsent() {
+    if (!window.themeConsent.allows('recentlyViewed')) {
+      clearTimeout(this.recentlyViewedSyncTimer);
+      this.recentlyViewedDirty = false;
+      if (this.state.recentlyViewed.length) this.setState('recentlyViewed', [], { persist: false });
+      return;
+    }
+
+    this.writeStorage(this.recentlyViewedKey, this.state.recentlyViewed);
+    if (!this.customerId) return;
+
+    localStorage.removeItem(this.guestRecentlyViewedKey);
+    if (this.recentlyViewedDirty) this.scheduleRecentlyViewedSync();
+  }
+
+  /**
+   * @private
+   */
+  scheduleRecentlyViewedSync() {
+    this.recentlyViewedDirty = true;
+    clearTimeout(this.recentlyViewedSyncTimer);
+    this.recentlyViewedSyncTimer = setTimeout(() => this.syncRecentlyViewed(), this.recentlyViewedSyncDelay);
+  }
+
+  /**
+   * Save the history to the account. A failed sync stays dirty and is retried on
+   * the next 'online' event; the device cache is merged again on the next page load.
+   * @private
+   */
+  async syncRecentlyViewed() {
+    if (!window.vpsClient?.isConfigured) return;
+
+    try {
+      this.recentlyViewedDirty = false;
+      await window.vpsClient.post('/sync-recently-viewed', { products: this.state.recentlyViewed }, { retries: 2 });
+    } catch (error) {
+      this.recentlyViewedDirty = true;
+      console.warn('ThemeStore: Error syncing recently viewed products', error);
+    }
+  }
+
+  /**
+   * @private
+   */
+  readStorage(key, fallback) {
+    try {
+      const stored = localStorage.getItem(key);
+      return stored ? JSON.parse(stored) : fallback;
+    } catch (error) {
+      console.warn(`ThemeStore: Error reading ${key}`, error);
+      return fallback;
+    }
+  }
+
+  /**
+   * @private
+   */
+  writeStorage(key, value) {
+    try {
+      localStorage.setItem(key, JSON.stringify(value));
+    } catch (error) {
+      console.warn(`ThemeStore: Error writing ${key}`, error);
+    }
+  }
+}
+
+ThemeStore.MAX_RECENTLY_VIEWED = 20;
+
+ThemeStore.selectors = {
+  /** @returns {Cart|null} */
+  cart: (state) => state.cart,
+
+  /** @returns {number} */
+  cartItemCount: (state) => state.cart?.item_count ?? 0,
+
+  /** @returns {number} Cents */
+  cartTotalPrice: (state) => state.cart?.total_price ?? 0,
+
+  /**
+   * @param {StoreState} state
+   * @param {number|string} productId
+   * @returns {number} Quantity of the product in the cart, all variants together
+   */
+  cartQuantityForProduct: (state, productId) =>
+    (state.cart?.items || [])
+      .filter((item) => String(item?.product_id) === String(productId))
+      .reduce((total, item) => total + item.quantity, 0),
+
+  /** @returns {{code: string, applicable: boolean}[]} Discount codes entered on the cart */
+  cartDiscountCodes: (state) => state.cart?.discount_codes || [],
+
+  /** @returns {boolean} Whether favorites-handler.js has loaded the favorites */
+  favoritesReady: (state) => state.favorites.ready,
+
+  /** @returns {FavoriteEntry[]} */
+  favorites: (state) => state.favorites.items,
+
+  /** @returns {FavoriteList[]} Default list first */
+  favoriteLists: (state) => state.favorites.lists,
+
+  /**
+   * @param {StoreState} state
+   * @param {number|string} productId
+   * @returns {boolean}
+   */
+  isFavorite: (state, productId) => state.favorites.items.some((item) => item.id === parseInt(productId, 10)),
+
+  /** @returns {RecentlyViewedProduct[]} Most recent first */
+  recentlyViewed: (state) => state.recentlyViewed,
+};
+
+window.ThemeStore = ThemeStore;
+window.themeStore = new ThemeStore();
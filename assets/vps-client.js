@@ -0,0 +1,287 @@
+/**
+ * VPS Client
+ * Shared transport for the VPS app (loyalty, favorites sync).
+ * Handles base URL resolution, timeouts, retries with backoff and normalizes
+ * every failure into a VpsClientError with a stable JSON shape.
+ *
+ * The base URL comes from Theme settings > VPS app > App proxy path and must be
+ * a same-origin app proxy path. A loopback URL (http://localhost:3000) is also
+ * accepted so the theme can point at a local mock server during development.
+ * Requests wait for the shopper's consent (consent.js, 'vps' purpose unless the
+ * call names another) and fail with code consent_required without it. Calls a
+ * logged-in customer makes about their own account use the 'account' purpose,
+ * which needs no consent.
+ * See docs/vps-app-proxy.md for the backend contract.
+ */
+class VpsClientError extends Error {
+  /**
+   * @param {Object} options
+   * @param {string} options.code - Machine-readable code (timeout, aborted, network, consent_required, http_404, ...)
+   * @param {string} options.message - Human-readable message
+   * @param {number} [options.status=0] - HTTP status, 0 when no response was received
+   * @param {*} [options.details=null] - Parsed response body, if any
+   */
+  constructor({ code, message, status = 0, details = null }) {
+    super(message);
+    this.name = 'VpsClientError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+
+  /**
+   * Whether the request may succeed if sent again
+   * @returns {boolean}
+   */
+  get retryable() {
+    return (
+      this.code === 'timeout' ||
+      this.code === 'network' ||
+      this.status === 408 ||
+      this.status === 429 ||
+      this.status >= 500
+    );
+  }
+
+  toJSON() {
+    return {
+      success: false,
+      error: {
+        code: this.code,
+        message: this.message,
+        status: this.status,
+      },
+    };
+  }
+}
+
+class VpsClient {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.baseUrl='/apps/loyalty'] - App proxy path or loopback URL
+   * @param {number} [options.timeout=8000] - Per-attempt timeout in ms
+   * @param {number} [options.retries=2] - Retries for idempotent requests
+   * @param {number} [options.retryDelay=400] - Base backoff delay in ms, doubled per attempt
+   */
+  constructor(options = {}) {
+    this.baseUrl = VpsClient.resolveBaseUrl(options.baseUrl);
+    this.timeout = options.timeout ?? 8000;
+    this.retries = options.retries ?? 2;
+    this.retryDelay = options.retryDelay ?? 400;
+  }
+
+  /**
+   * Resolve a configured base URL
+   * @param {string} value - Configured path or URL
+   * @returns {string|null} Absolute base URL without trailing slash, or null if rejected
+   */
+  static resolveBaseUrl(value) {
+    try {
+      const url = new URL(value || '/apps/loyalty', window.location.origin);
+      const isLoopback = ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+      if (url.origin !== window.location.origin && !isLoopback) {
+        console.error('VPS client: base URL must be a same-origin app proxy path:', value);
+        return null;
+      }
+      return `${url.origin}${url.pathname.replace(/\/+$/, '')}`;
+    } catch (error) {
+      console.error('VPS client: invalid base URL:', value);
+      return null;
+    }
+  }
+
+  get isConfigured() {
+    return !!this.baseUrl;
+  }
+
+  /**
+   * @param {string} path - Endpoint path, e.g. /balance
+   * @param {Object} [options] - See request()
+   * @returns {Promise<Object>}
+   */
+  get(path, options = {}) {
+    return this.request(path, { ...options, method: 'GET' });
+  }
+
+  /**
+   * @param {string} path - Endpoint path, e.g. /redeem
+   * @param {Object} [body] - JSON body
+   * @param {Object} [options] - See request()
+   * @returns {Promise<Object>}
+   */
+  post(path, body, options = {}) {
+    return this.request(path, { ...options, method: 'POST', body });
+  }
+
+  /**
+   * Send a request, retrying transient failures with exponential backoff.
+   * POST requests are not retried unless options.retries is given, since the
+   * server may have applied them before the connection dropped.
+   * @param {string} path - Endpoint path relative to the base URL
+   * @param {Object} [options]
+   * @param {string} [options.method='GET']
+   * @param {Object} [options.body] - Serialized as JSON
+   * @param {Object} [options.query] - Appended as search params
+   * @param {AbortSignal} [options.signal] - Cancels the request and any pending retry
+   * @param {number} [options.timeout] - Overrides the client timeout
+   * @param {number} [options.retries] - Overrides the retry count
+   * @param {string|null} [options.consent='vps'] - Consent purpose the request needs;
+   *   null for requests that carry no shopper data, such as a shared list, and
+   *   'account' for requests the logged-in customer makes about their own account
+   * @returns {Promise<Object>} Parsed JSON body
+   * @throws {VpsClientError}
+   */
+  async request(path, options = {}) {
+    if (!this.baseUrl) {
+      throw new VpsClientError({ code: 'not_configured', message: 'VPS app URL is not configured' });
+    }
+
+    const consent = options.consent === undefined ? 'vps' : options.consent;
+    if (consent && window.themeConsent?.requiresConsent(consent)) {
+      await window.themeConsent.ready;
+      if (!window.themeConsent.allows(consent)) {
+        throw new VpsClientError({ code: 'consent_required', message: 'The shopper has not consented to this request' });
+      }
+    }
+
+    const method = (options.method || 'GET').toUpperCase();
+    const retries = options.retries ?? (method === 'GET' ? this.retries : 0);
+    const url = this.buildUrl(path, options.query);
+
+    let attempt = 0;
+    while (true) {
+      try {
+        return await this.send(url, method, options);
+      } catch (error) {
+        if (!(error instanceof VpsClientError) || !error.retryable || attempt >= retries) {
+          throw error;
+        }
+        await this.wait(this.getRetryDelay(attempt, error), options.signal);
+        attempt++;
+      }
+    }
+  }
+
+  /**
+   * Perform a single attempt
+   * @private
+   */
+  async send(url, method, options) {
+    const controller = new AbortController();
+    const timeout = options.timeout ?? this.timeout;
+    let timedOut = false;
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeout);
+    const onAbort = () => controller.abort();
+
+    if (options.signal) {
+      if (options.signal.aborted) controller.abort();
+      options.signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    let response;
+    try {
+      response = await fetch(url, {
+        method,
+        credentials: 'same-origin',
+        headers: {
+          Accept: 'application/json',
+          ...(options.body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+          ...options.headers,
+        },
+        body: options.body !== undefined ? JSON.stringify(options.body) : undefined,
+        signal: controller.signal,
+      });
+    } catch (error) {
+      if (timedOut) {
+        throw new VpsClientError({ code: 'timeout', message: `Request timed out after ${timeout}ms` });
+      }
+      if (controller.signal.aborted) {
+        throw new VpsClientError({ code: 'aborted', message: 'Request was aborted' });
+      }
+      throw new VpsClientError({ code: 'network', message: error.message || 'Network error' });
+    } finally {
+      clearTimeout(timer);
+      if (options.signal) options.signal.removeEventListener('abort', onAbort);
+    }
+
+    const data = await response.json().catch(() => null);
+
+    if (!response.ok || (data && data.success === false)) {
+      const error = this.createResponseError(response, data);
+      error.retryAfter = parseInt(response.headers.get('Retry-After'), 10) || 0;
+      throw error;
+    }
+
+    return data || {};
+  }
+
+  /**
+   * Build a VpsClientError from an unsuccessful response.
+   * Accepts both { error: 'message' } and { error: { code, message } } bodies.
+   * @private
+   */
+  createResponseError(response, data) {
+    const body = data || {};
+    const nested = body.error && typeof body.error === 'object' ? body.error : null;
+    const message =
+      (nested && nested.message) ||
+      (typeof body.error === 'string' && body.error) ||
+      body.message ||
+      `HTTP ${response.status}`;
+    const code = (nested && nested.code) || body.code || (response.ok ? 'request_failed' : `http_${response.status}`);
+
+    return new VpsClientError({ code, message, status: response.status, details: data });
+  }
+
+  /**
+   * @private
+   */
+  buildUrl(path, query) {
+    const url = new URL(`${this.baseUrl}${path}`);
+    if (query) {
+      Object.entries(query).forEach(([key, value]) => {
+        if (value !== undefined && value !== null) url.searchParams.set(key, value);
+      });
+    }
+    return url.toString();
+  }
+
+  /**
+   * Exponential backoff with jitter, honoring Retry-After when present
+   * @private
+   */
+  getRetryDelay(attempt, error) {
+    if (error.retryAfter) return error.retryAfter * 1000;
+    const base = this.retryDelay * 2 ** attempt;
+    return base + Math.random() * base * 0.25;
+  }
+
+  /**
+   * @private
+   */
+  wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new VpsClientError({ code: 'aborted', message: 'Request was aborted' }));
+        return;
+      }
+      const timer = setTimeout(resolve, ms);
+      signal?.addEventListener(
+        'abort',
+        () => {
+          clearTimeout(timer);
+          reject(new VpsClientError({ code: 'aborted', message: 'Request was aborted' }));
+        },
+        { once: true }
+      );
+    });
+  }
+}
+
+window.VpsClient = VpsClient;
+window.VpsClientError = VpsClientError;
+window.vpsClient = new VpsClient({ baseUrl: window.routes?.vps_proxy_url });